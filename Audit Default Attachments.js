@@ -0,0 +1,201 @@
+/**
+ * @file Audit Default Attachments
+ * @author cerenkov
+ * @version 0.1
+ * @usage Select multiple items, or select a collection (without its subcollections) or library without selecting items, then trigger in the context menu
+ * @description Checks whether the attachment Zotero opens by default (the best attachment) is
+ * the best PDF according to the version ranking of "Set Published Version as Default PDF":
+ * Published Version from the publisher, via Sci-Hub, Accepted Version, Preprint (latest arXiv
+ * version first), Unknown, supplements last; the version is read from the attachment titles
+ * written by "Store Version Info in PDF Attachment Titles". Writes a standalone report note
+ * listing the mismatches, the items whose default is another PDF of the same rank as the best
+ * one, the items without PDF and the items whose only PDFs are supplements; for a collection
+ * the note is added to the collection. Nothing is changed: run "Set Published Version as
+ * Default PDF" on the mismatched items to reorder their attachments.
+ * The ranking code (getRank, getArXivVersion, compareAttachments) is copied from "Set Published
+ * Version as Default PDF" and must be kept in sync with it.
+ * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
+ * suggested Menu Label: Audit Default Attachments
+ */
+
+const Zotero = require("Zotero");
+const SCRIPTNAME = "Audit Default Attachments";
+const excludeRegEx = /supplement/i;
+// Published from publisher > Published via Sci-Hub > Accepted > Preprint (latest version first) > Unknown > supplements
+const RANK_PUBLISHER = 0;
+const RANK_SCIHUB = 1;
+const RANK_ACCEPTED = 2;
+const RANK_PREPRINT = 3;
+const RANK_UNKNOWN = 4;
+const RANK_SUPPLEMENT = 5;
+const PROBLEM_MISMATCH = "best attachment is not the best PDF";
+const PROBLEM_TIE = "best attachment is an equally ranked copy of the best PDF";
+const PROBLEM_NO_PDF = "no PDF";
+const PROBLEM_ONLY_SUPPLEMENT = "only supplement PDFs";
+
+function popup(msg, timeout = null) {
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    pw.addDescription(msg);
+    pw.show();
+    if (timeout) pw.startCloseTimer(timeout * 1000);
+}
+function log(msg) {
+    if (typeof msg == "object") {
+        Zotero.log(JSON.stringify(msg), "info");
+    } else {
+        Zotero.log(msg, "info");
+    }
+}
+function alert(msg) {
+    Zotero.alert(null, SCRIPTNAME, `[${SCRIPTNAME}] ${msg}`);
+}
+function warn(msg) {
+    Zotero.warn(`[${SCRIPTNAME}] ${msg}`);
+}
+function error(msg) {
+    Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
+}
+
+// getRank, getArXivVersion and compareAttachments are copies of those in "Set Published Version as Default PDF", keep both in sync
+// Rank of a PDF attachment by the version info in its title (see "Store Version Info in PDF Attachment Titles"), lower comes first
+function getRank(att) {
+    const title = att.getField("title");
+    if (title.match(excludeRegEx)) {
+        return RANK_SUPPLEMENT;
+    } else if (title.match(/published/i)) {
+        return title.match(/sci-hub/i) || att.getField("url").match(/sci-hub/i) ? RANK_SCIHUB : RANK_PUBLISHER;
+    } else if (title.match(/accepted/i)) {
+        return RANK_ACCEPTED;
+    } else if (title.match(/submitted|preprint/i)) {
+        return RANK_PREPRINT;
+    }
+    return RANK_UNKNOWN;
+}
+// The arXiv version of a preprint from its "Preprint (arXiv vN)" title or URL, 0 when unknown
+function getArXivVersion(att) {
+    const match = /\(arXiv v(\d+)\)/.exec(att.getField("title")) || /\/(?:abs|pdf)\/[^?#]*?v(\d+)(?:\.pdf)?(?:[?#]|$)/i.exec(att.getField("url"));
+    return match ? parseInt(match[1]) : 0;
+}
+function compareAttachments(a, b) {
+    return getRank(a) - getRank(b)
+        || (getRank(a) == RANK_PREPRINT ? getArXivVersion(b) - getArXivVersion(a) : 0)
+        // otherwise keep the current order
+        || (a.dateAdded < b.dateAdded ? -1 : a.dateAdded > b.dateAdded ? 1 : a.id - b.id);
+}
+
+// Function to audit each item: null when its best attachment is its best ranked PDF itself
+async function processAuditing(item) {
+    if (!item.isRegularItem()) {
+        // Skip not-regular (Note/Attachment/Annotation) items
+        return null;
+    }
+    const pdfs = Zotero.Items.get(item.getAttachments()).filter(a => a.attachmentContentType == 'application/pdf');
+    if (pdfs.length == 0) {
+        return { item: item, problem: PROBLEM_NO_PDF };
+    }
+    if (pdfs.every(a => getRank(a) == RANK_SUPPLEMENT)) {
+        return { item: item, problem: PROBLEM_ONLY_SUPPLEMENT };
+    }
+    const expected = [...pdfs].sort(compareAttachments)[0];
+    const best = await item.getBestAttachment();
+    if (best && best.id === expected.id) {
+        return null;
+    }
+    if (best && getRank(best) == getRank(expected) && (getRank(best) !== RANK_PREPRINT || getArXivVersion(best) == getArXivVersion(expected))) {
+        // as good by the ranking, only the current order tells them apart
+        return { item: item, problem: PROBLEM_TIE, best: best, expected: expected };
+    }
+    return { item: item, problem: PROBLEM_MISMATCH, best: best, expected: expected };
+}
+
+function getLibraryPath(libraryID) {
+    const library = Zotero.Libraries.get(libraryID);
+    return library.libraryType == "group" ? `groups/${library.groupID}` : "library";
+}
+function formatFinding(finding) {
+    const item = finding.item;
+    const link = `<a href="zotero://select/${getLibraryPath(item.libraryID)}/items/${item.key}">${Zotero.Utilities.htmlSpecialChars(item.getField("title"))}</a>`;
+    if (finding.problem == PROBLEM_MISMATCH) {
+        const best = finding.best ? finding.best.getField("title") : "(none)";
+        return `<li>${link}: opens "${Zotero.Utilities.htmlSpecialChars(best)}" instead of "${Zotero.Utilities.htmlSpecialChars(finding.expected.getField("title"))}"</li>`;
+    }
+    if (finding.problem == PROBLEM_TIE) {
+        return `<li>${link}: opens "${Zotero.Utilities.htmlSpecialChars(finding.best.getField("title"))}" [${finding.best.key}], ranked equal to "${Zotero.Utilities.htmlSpecialChars(finding.expected.getField("title"))}" [${finding.expected.key}]</li>`;
+    }
+    return `<li>${link}</li>`;
+}
+async function saveReport(target, findings) {
+    let lines = [`<h1>${SCRIPTNAME} report, ${new Date().toLocaleString()}</h1>`, `<p>${Zotero.Utilities.htmlSpecialChars(`Audit of ${target.scope}`)}</p>`];
+    for (const problem of [PROBLEM_MISMATCH, PROBLEM_TIE, PROBLEM_NO_PDF, PROBLEM_ONLY_SUPPLEMENT]) {
+        const list = findings.filter(f => f.problem == problem);
+        if (list.length == 0) continue;
+        lines.push(`<h2>${problem} (${list.length})</h2>`, "<ul>", ...list.map(formatFinding), "</ul>");
+    }
+    const note = new Zotero.Item("note");
+    note.libraryID = target.libraryID;
+    if (target.collection) {
+        // keep the report next to the audited items, so that selecting it does not leave the collection
+        note.addToCollection(target.collection.id);
+    }
+    note.setNote(lines.join("\n"));
+    await note.saveTx();
+    return note;
+}
+
+// The items to audit: the selected items, or else the items of the selected collection or library
+async function prepareAuditItemsList() {
+    if (item) {
+        // reject script calls with items=[], item=...
+        return null;
+    }
+    if (items?.length > 0) {
+        // accept script calls with items=[...], item=undefined
+        return { items: Zotero.Items.getTopLevel(items), libraryID: items[0].libraryID, scope: `${items.length} selected items` };
+    }
+    const pane = Zotero.getActiveZoteroPane();
+    const collection = pane.getSelectedCollection();
+    if (collection) {
+        return { items: Zotero.Items.getTopLevel(collection.getChildItems(false)), libraryID: collection.libraryID, collection: collection, scope: `collection "${collection.name}"` };
+    }
+    const libraryID = pane.getSelectedLibraryID();
+    return { items: await Zotero.Items.getAll(libraryID, true), libraryID: libraryID, scope: `library "${Zotero.Libraries.getName(libraryID)}"` };
+}
+
+// Main execution block
+(async () => {
+    const target = await prepareAuditItemsList();
+    if (!target) {
+        return;
+    }
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    let itemProgress = new pw.ItemProgress(null, `Auditing ${target.items.length} items.`);
+    pw.show();
+    let findings = [];
+    let done = 0;
+    for (const item of target.items) {
+        const finding = await processAuditing(item);
+        if (finding) findings.push(finding);
+        done += 1;
+        if (done % 50 == 0 || done == target.items.length) {
+            itemProgress.setText(`Audited ${done} of ${target.items.length} items, ${findings.length} findings.`);
+            itemProgress.setProgress(done / target.items.length * 100);
+        }
+    }
+    pw.startCloseTimer(2000);
+    if (findings.length == 0) {
+        popup(`All ${target.items.length} items open their best PDF by default.`, 3);
+        return;
+    }
+
+    const note = await saveReport(target, findings);
+    await Zotero.getActiveZoteroPane().selectItem(note.id);
+    const mismatches = findings.filter(f => f.problem == PROBLEM_MISMATCH);
+    const counts = [PROBLEM_MISMATCH, PROBLEM_TIE, PROBLEM_NO_PDF, PROBLEM_ONLY_SUPPLEMENT].map(p => `${p}: ${findings.filter(f => f.problem == p).length}`).join("\n");
+    if (mismatches.length == 0) {
+        alert(`${counts}\n\nSee the report note.`);
+        return;
+    }
+    alert(`${counts}\n\nSee the report note, and run "Set Published Version as Default PDF" on the ${mismatches.length} mismatched items to reorder their PDF attachments.`);
+})();
@@ -0,0 +1,201 @@
+/**
+ * @file Check for Newer arXiv Versions
+ * @author cerenkov
+ * @version 0.1
+ * @usage Select multiple items then trigger in the context menu
+ * @description For every item with "Preprint (arXiv ...)" PDF attachments, reads the stored
+ * arXiv version from the attachment URL or title, asks the arXiv API for the latest version
+ * and downloads a newer one as a new "Preprint (arXiv vN)" attachment. The older copies can
+ * then be tagged "#superseded", so that "DeDuplicate PDF Attachments" trashes them next to
+ * the newer version. Lookups and downloads go to https://export.arxiv.org, or to the endpoint
+ * in extensions.zotero.actionScripts.arxiv.baseURL in the Advanced Config Editor (e.g. a
+ * local mirror).
+ * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
+ * suggested Menu Label: Check for Newer arXiv Versions (Multiple)
+ */
+
+const Zotero = require("Zotero");
+const SCRIPTNAME = "Check arXiv Versions";
+const PREPRINT = "Preprint";
+const ARXIV_BASE_URL = (Zotero.Prefs.get("actionScripts.arxiv.baseURL") || "https://export.arxiv.org").replace(/\/+$/, "");
+const API_SPACING = 3000; // milliseconds between two requests, as asked by the arXiv API terms of use
+const SUPERSEDED_TAG = "#superseded";
+let nextRequestAt = 0;
+
+function popup(msg, timeout = null) {
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    pw.addDescription(msg);
+    pw.show();
+    if (timeout) pw.startCloseTimer(timeout * 1000);
+}
+function log(msg) {
+    if (typeof msg == "object") {
+        Zotero.log(JSON.stringify(msg), "info");
+    } else {
+        Zotero.log(msg, "info");
+    }
+}
+function alert(msg) {
+    Zotero.alert(null, SCRIPTNAME, `[${SCRIPTNAME}] ${msg}`);
+}
+function warn(msg) {
+    Zotero.warn(`[${SCRIPTNAME}] ${msg}`);
+}
+function error(msg) {
+    Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
+}
+
+function getArXivID(item) {
+    const candidates = [
+        item.getField("DOI") || item.getExtraField("DOI") || "",
+        item.getField("extra"),
+        item.getField("url"),
+        item.itemType == "preprint" ? item.getField("archiveID") : "",
+    ];
+    for (const str of candidates) {
+        const match = /(?:arxiv[.:\/]\s*|arxiv\.org\/(?:abs|pdf)\/)([a-z\-]+(?:\.[A-Z]{2})?\/\d{7}|\d{4}\.\d{4,5})/i.exec(str);
+        if (match) return match[1];
+    }
+    return null;
+}
+// The arXiv version of a preprint attachment, from its URL (also of a mirror) or its "Preprint (arXiv vN)" title
+function getStoredVersion(att) {
+    const match = /\/(?:abs|pdf)\/[^?#]*?v(\d+)(?:\.pdf)?(?:[?#]|$)/i.exec(att.getField("url")) || /\(arXiv v(\d+)\)/.exec(att.getField("title"));
+    return match ? parseInt(match[1]) : null;
+}
+async function waitForAPI() {
+    const now = Date.now();
+    const at = Math.max(now, nextRequestAt);
+    nextRequestAt = at + API_SPACING;
+    if (at > now) {
+        await Zotero.Promise.delay(at - now);
+    }
+}
+async function getLatestArXivVersion(id) {
+    await waitForAPI();
+    const req = await Zotero.HTTP.request('GET', `${ARXIV_BASE_URL}/api/query?id_list=${encodeURIComponent(id)}`, {timeout: 15000});
+    const match = /<entry>[\s\S]*?<id>[^<]*\/abs\/[^<]*?v(\d+)\s*<\/id>/.exec(req.responseText);
+    return match ? parseInt(match[1]) : null;
+}
+async function isPDFFile(attachment) {
+    const bytes = await IOUtils.read(await attachment.getFilePathAsync(), { maxBytes: 5 });
+    return String.fromCharCode(...bytes) == "%PDF-";
+}
+
+// Function to process checking of each parent item, returns the older preprint copies when a newer one is downloaded
+async function processChecking(item) {
+    if (!item.isRegularItem()) {
+        // Skip not-regular (Note/Attachment/Annotation) items
+        return { checked: 0, updated: 0, errors: 0, superseded: [] };
+    }
+    const preprints = Zotero.Items.get(item.getAttachments())
+        .filter(a => a.isPDFAttachment() && /^Preprint \(arXiv/i.test(a.getField("title")) && !a.hasTag(SUPERSEDED_TAG));
+    if (preprints.length == 0) {
+        return { checked: 0, updated: 0, errors: 0, superseded: [] };
+    }
+
+    const itemTitle = item.getField("title");
+    const id = getArXivID(item) || preprints.map(a => getArXivID(a)).find(Boolean);
+    const versioned = preprints.filter(a => getStoredVersion(a));
+    if (!id || versioned.length == 0) {
+        warn(`${id ? "no arXiv version stored in the preprint attachments" : "no arXiv ID"}: ${itemTitle}`);
+        return { checked: 0, updated: 0, errors: 1, superseded: [] };
+    }
+    const stored = Math.max(...versioned.map(getStoredVersion));
+
+    let latest;
+    try {
+        latest = await getLatestArXivVersion(id);
+    } catch (e) {
+        error(`arXiv ${id} lookup failed (${e.status || e}): ${itemTitle}`);
+        return { checked: 0, updated: 0, errors: 1, superseded: [] };
+    }
+    if (!latest) {
+        error(`arXiv ${id} not found: ${itemTitle}`);
+        return { checked: 0, updated: 0, errors: 1, superseded: [] };
+    }
+    if (latest <= stored) {
+        return { checked: 1, updated: 0, errors: 0, superseded: [] };
+    }
+
+    await waitForAPI();
+    const attachment = await Zotero.Attachments.addFileFromURLs(item, [{ url: `${ARXIV_BASE_URL}/pdf/${id}v${latest}`, accessMethod: 'arXiv', articleVersion: 'submittedVersion' }]);
+    if (!attachment) {
+        error(`Download of arXiv ${id}v${latest} failed: ${itemTitle}`);
+        return { checked: 1, updated: 0, errors: 1, superseded: [] };
+    }
+    if (!(await isPDFFile(attachment))) {
+        error(`Discarded non-PDF download of arXiv ${id}v${latest}: ${itemTitle}`);
+        await Zotero.Items.trashTx(attachment.id);
+        return { checked: 1, updated: 0, errors: 1, superseded: [] };
+    }
+    attachment.setField("title", `${PREPRINT} (arXiv v${latest})`);
+    await attachment.saveTx();
+    log(`[${SCRIPTNAME}] arXiv ${id}: v${stored} => v${latest}: ${itemTitle}`);
+    return { checked: 1, updated: 1, errors: 0, superseded: versioned.filter(a => getStoredVersion(a) < latest) };
+}
+function prepareTopLevelItemsList() {
+    if (!items && !item) {
+        alert("No item or items array provided.");
+        return false;
+    }
+    if (item) {
+        // reject script calls with items=[], item=...
+        return false;
+    }
+    if (items?.length > 0) {
+        // accept script calls with items=[...], item=undefined
+        return Zotero.Items.getTopLevel(items);
+    } else {
+        return false;
+    }
+}
+
+// Main execution block
+(async () => {
+    let targetItems = prepareTopLevelItemsList();
+    if (!targetItems) {
+        return;
+    }
+    let totalItems = targetItems.length;
+    let totalChecked = 0;
+    let totalUpdated = 0;
+    let totalErrors = 0;
+    let totalTagged = 0;
+    let superseded = [];
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    let itemProgress = new pw.ItemProgress(null, `Checking all ${totalItems} items.`);
+    pw.show();
+    let done = 0;
+    for (const item of targetItems) {
+        const result = await processChecking(item);
+        totalChecked += result.checked;
+        totalUpdated += result.updated;
+        totalErrors += result.errors;
+        superseded = superseded.concat(result.superseded);
+        done += 1;
+        itemProgress.setText(`${totalUpdated} updated, ${totalErrors} failed in ${done} of ${totalItems} items.`);
+        itemProgress.setProgress(done / totalItems * 100);
+    }
+    pw.startCloseTimer(2000);
+
+    if (superseded.length > 0 && Services.prompt.confirm(null, SCRIPTNAME, `Downloaded ${totalUpdated} newer arXiv versions.\n\nTag the ${superseded.length} older preprint copies "${SUPERSEDED_TAG}", so that "DeDuplicate PDF Attachments" trashes them?`)) {
+        for (const att of superseded) {
+            try {
+                att.addTag(SUPERSEDED_TAG);
+                await att.saveTx();
+                totalTagged += 1;
+            } catch (e) {
+                error(`Failed to tag attachment ${att.id} (${att.getField("title")}): ${e}`);
+                totalErrors += 1;
+            }
+        }
+    }
+
+    // Display a summary alert only if there are significant outcomes to report
+    if (totalUpdated > 0 || totalErrors > 0) {
+        alert(`Checked ${totalChecked} arXiv preprints, downloaded ${totalUpdated} newer versions, tagged ${totalTagged} older copies "${SUPERSEDED_TAG}". Errors: ${totalErrors}`);
+    }
+})();
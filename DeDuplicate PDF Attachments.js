@@ -3,14 +3,28 @@
  * @author cerenkov
  * @version 0.1
  * @usage Select multiple items then trigger in the context menu
- * @description Warning: When the script is run on a well-maintained library with 
- * your annotations in PDFs, use the 'earliest' version of the getBest() function, 
- * which will preserve the earliest PDF with your annotations, but you'll need to 
- * manually remove/deduplicate earlier version PDFs when you want to keep a later-
- * downloaded updated version (e.g. arXiv v2). When the script is run on a messy 
- * library with lots of PDF versions and no annotations to preserve, use the 'latest' 
- * version of the getBest() function, which will save your time from manually keeping 
- * only the updated version.
+ * @description Which copy of a group of duplicates is kept is chosen when the action is
+ * triggered: earliest added, latest modified file, most annotations, largest file, preferred
+ * source (publisher over Sci-Hub over repository) or an ordered list of these rules. Set
+ * extensions.zotero.actionScripts.dedupe.keepStrategy in the Advanced Config Editor to a
+ * comma-separated rule list (earliest, latest, annotations, largest, source) to skip the prompt.
+ * Annotations of a trashed copy are moved to the kept copy when both files are identical;
+ * an annotated copy whose file differs is never trashed but tagged
+ * "#dedupe: annotated duplicate" for a manual decision.
+ * Nothing is trashed before you have reviewed the planned removals (which attachment is
+ * kept, which are trashed and why) and confirmed them. The report can be saved as child
+ * notes or, with extensions.zotero.actionScripts.dedupe.reportTarget set to "file" in the
+ * Advanced Config Editor, as a text file in the Zotero data directory.
+ * Duplicates are detected by file content (MD5) and, for PDFs already indexed by Zotero,
+ * by the similarity of their extracted full text, so re-downloads with a different cover
+ * page or watermark are grouped as well. File size and URL containment are only used
+ * when a file cannot be read.
+ * PDFs not yet downloaded by file sync are fetched first; broken linked files, missing files
+ * and linked URLs are left alone and listed as skipped (see "Report Broken PDF Attachments").
+ * Preprints tagged "#superseded" by "Check for Newer arXiv Versions" are trashed when the
+ * item has a newer arXiv version of the preprint.
+ * Every run (trashed and tagged attachments) is recorded in dedupe-journal.json in the Zotero
+ * data directory and can be reverted with the "Undo Last Deduplication" action.
  * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
  * suggested Menu Label: DeDuplicate PDF Attachments (Multiple)
  * @todo add progress bar
@@ -22,6 +36,27 @@ const PUBLISHED = "Published Version";
 const ACCEPTED = "Accepted Version";
 const PREPRINT = "Preprint";
 const excludeRegEx = /supplement/i;
+// where the audit report goes when requested in the confirmation dialog: "note" (child note of each item) or "file" (in the Zotero data directory)
+const REPORT_TARGET = Zotero.Prefs.get("actionScripts.dedupe.reportTarget") || "note";
+const DATA_DIRNAME = "action-scripts";
+const MAX_PREVIEW_LINES = 40;
+// two readable PDFs with different bytes are still duplicates when their extracted texts are this similar (Jaccard index of word shingles)
+const TEXT_SIMILARITY = 0.9;
+const SHINGLE_SIZE = 5;
+const signals = new Map();
+// tag for annotated duplicates that cannot be trashed without losing annotations
+const FLAG_TAG = "#dedupe: annotated duplicate";
+// set by "Check for Newer arXiv Versions" on preprints with a newer arXiv version
+const SUPERSEDED_TAG = "#superseded";
+const FILE_PRESENT = "present";
+const FILE_SYNCABLE = "missing, not yet downloaded by file sync";
+const FILE_BROKEN_LINK = "broken linked file";
+const FILE_REMOTE_ONLY = "remote only (linked URL)";
+const FILE_MISSING = "missing";
+let skippedFiles = [];
+let keepRules = null;
+const JOURNAL_FILENAME = "dedupe-journal.json";
+const MAX_JOURNAL_RUNS = 20;
 
 function popup(msg, timeout = null) {
     const pw = new Zotero.ProgressWindow();
@@ -47,16 +82,120 @@ function error(msg) {
     Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
 }
 
+// Only attachments whose file is on this computer take part in deduplication
+async function getFileStatus(att) {
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_URL) {
+        return FILE_REMOTE_ONLY;
+    }
+    if (await att.fileExists()) {
+        return FILE_PRESENT;
+    }
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_FILE) {
+        return FILE_BROKEN_LINK;
+    }
+    return Zotero.Sync.Storage.Local.getEnabledForLibrary(att.libraryID) ? FILE_SYNCABLE : FILE_MISSING;
+}
+async function getPresentAttachments(attachments) {
+    let present = [];
+    for (let att of attachments) {
+        let status = await getFileStatus(att);
+        if (status == FILE_SYNCABLE) {
+            try {
+                await Zotero.Sync.Runner.downloadFile(att);
+            } catch (e) {
+                warn(`Failed to download file of attachment ${att.id} (${att.getField("title")}): ${e}`);
+            }
+            status = await getFileStatus(att);
+        }
+        if (status == FILE_PRESENT) {
+            present.push(att);
+        } else {
+            skippedFiles.push({ att: att, status: status });
+        }
+    }
+    return present;
+}
+
+// Collect the duplicate-detection signals of each attachment once per run:
+// file size, modification time, MD5 of the file and a shingle fingerprint of Zotero's fulltext cache
+async function loadSignals(attachments) {
+    for (let att of attachments) {
+        if (signals.has(att.id)) continue;
+        let sig = { readable: false, size: null, mtime: null, hash: null, shingles: null, annotations: getAnnotations(att).length };
+        const path = att.getFilePath();
+        if (path && await att.fileExists()) {
+            try {
+                const stat = await IOUtils.stat(path);
+                sig.size = stat.size;
+                sig.mtime = stat.lastModified;
+                sig.hash = await Zotero.Utilities.Internal.md5Async(path);
+                sig.readable = true;
+            } catch (e) {
+                warn(`Cannot read file of attachment ${att.id} (${att.getField("title")}): ${e}`);
+            }
+        }
+        if (sig.readable) {
+            sig.shingles = await getTextShingles(att);
+        }
+        signals.set(att.id, sig);
+    }
+}
+async function getTextShingles(att) {
+    const cacheFile = Zotero.FullText.getItemCacheFile(att);
+    if (!cacheFile.exists()) {
+        return null;
+    }
+    const words = (await Zotero.File.getContentsAsync(cacheFile.path))
+        .normalize("NFKC").toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(w => w.length > 2);
+    if (words.length < SHINGLE_SIZE * 10) {
+        // too little text for a meaningful fingerprint, e.g. scanned PDFs
+        return null;
+    }
+    let shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(" "));
+    }
+    return shingles;
+}
+function textSimilarity(a, b) {
+    let common = 0;
+    for (let s of a) {
+        if (b.has(s)) common += 1;
+    }
+    return common / (a.size + b.size - common);
+}
+function matchReason(a, b) {
+    const sigA = signals.get(a.id);
+    const sigB = signals.get(b.id);
+    if (sigA.readable && sigB.readable) {
+        if (sigA.hash == sigB.hash) {
+            return "identical content";
+        }
+        if (sigA.shingles && sigB.shingles) {
+            const score = textSimilarity(sigA.shingles, sigB.shingles);
+            if (score >= TEXT_SIMILARITY) {
+                return `near-identical text, similarity ${score.toFixed(2)}`;
+            }
+        }
+        return null;
+    }
+    // fall back to the size/URL heuristics when a file cannot be read
+    const urlA = a.getField("url").toLowerCase();
+    const urlB = b.getField("url").toLowerCase();
+    if (sigA.size !== null && sigA.size == sigB.size) {
+        return "same file size";
+    } else if (urlA !== "" && urlB !== "" && (urlA.includes(urlB) || urlB.includes(urlA))) {
+        return "URL containment";
+    }
+    return null;
+}
 function getDups(cur, baseLst) {
     let id = cur.id;
-    let fileSize = Zotero.File.pathToFile(cur.getFilePath()).fileSize;
-    let url = cur.getField("url").toLowerCase();
     let dups = [];
     for (let att of baseLst) {
-        if (att.id !== id 
-            && (Zotero.File.pathToFile(att.getFilePath()).fileSize == fileSize
-                || att.getField("url").toLowerCase().includes(url) 
-                || url.includes(att.getField("url").toLowerCase())) ) {
+        if (att.id !== id && matchReason(cur, att)) {
             dups.push(att);
         }
     }
@@ -70,48 +209,120 @@ function getDups(cur, baseLst) {
     dups = dups.concat(secDups);
     return [...new Set(dups)];
 }
+function getAnnotations(att) {
+    // annotations imported from the PDF file itself travel with the file
+    return att.getAnnotations().filter(a => !a.annotationIsExternal);
+}
+// Each keep rule scores an attachment, the higher score is kept; ties go to the next rule of the strategy
+const KEEP_RULES = {
+    earliest: { label: "earliest added", score: att => -new Date(att.dateAdded + "Z").getTime() },
+    latest: { label: "latest modified file", score: att => signals.get(att.id).mtime || 0 },
+    annotations: { label: "most annotations", score: att => signals.get(att.id).annotations },
+    largest: { label: "largest file", score: att => signals.get(att.id).size || 0 },
+    source: { label: "preferred source (publisher > Sci-Hub > repository)", score: att => getSourceRank(att) },
+};
+const KEEP_STRATEGIES = [
+    ["annotations", "latest"],
+    ["earliest"],
+    ["latest"],
+    ["annotations"],
+    ["largest"],
+    ["source", "annotations", "latest"],
+];
+function getSourceRank(att) {
+    const url = att.getField("url");
+    if (/sci-hub/i.test(url) || /sci-hub/i.test(att.getField("title"))) {
+        return 2;
+    } else if (/:\/\/([^\/]+\.)?(arxiv\.org|biorxiv\.org|medrxiv\.org|zenodo\.org|europepmc\.org|ncbi\.nlm\.nih\.gov|hal\.science|[^\/]*repository[^\/]*|[^\/]*eprints[^\/]*)\//i.test(url)
+        || /\((arXiv|bioRxiv|medRxiv)[^\)]*\)/.test(att.getField("title"))) {
+        return 1;
+    } else if (url) {
+        return 3;
+    }
+    return 0;
+}
+function parseStrategy(str) {
+    const rules = str.split(",").map(r => r.trim()).filter(r => r);
+    const unknown = rules.filter(r => !KEEP_RULES[r]);
+    if (rules.length == 0 || unknown.length > 0) {
+        alert(`Unknown keep rules: ${unknown.join(", ") || "(empty)"}`);
+        return null;
+    }
+    return rules;
+}
+function describeStrategy(rules) {
+    return rules.map(r => KEEP_RULES[r].label).join(", then ");
+}
+// Read the keep strategy from extensions.zotero.actionScripts.dedupe.keepStrategy, or ask for it
+function chooseStrategy() {
+    const stored = Zotero.Prefs.get("actionScripts.dedupe.keepStrategy");
+    if (stored) {
+        return parseStrategy(stored);
+    }
+    const labels = KEEP_STRATEGIES.map(describeStrategy).concat(["custom rule list..."]);
+    const selected = { value: 0 };
+    if (!Services.prompt.select(null, SCRIPTNAME, "Which copy of a group of duplicates should be kept?", labels, selected)) {
+        return null;
+    }
+    if (selected.value < KEEP_STRATEGIES.length) {
+        return KEEP_STRATEGIES[selected.value];
+    }
+    const input = { value: KEEP_STRATEGIES[0].join(",") };
+    if (!Services.prompt.prompt(null, SCRIPTNAME, `Comma-separated keep rules, applied in order:\n${Object.keys(KEEP_RULES).join(", ")}`, input, null, {})) {
+        return null;
+    }
+    return parseStrategy(input.value);
+}
+// The first keep rule that tells the two attachments apart, null when they tie on all of them
+function getDecidingRule(a, b) {
+    for (let rule of keepRules) {
+        if (KEEP_RULES[rule].score(a) !== KEEP_RULES[rule].score(b)) return rule;
+    }
+    return null;
+}
+function compareByRules(a, b) {
+    const rule = getDecidingRule(a, b);
+    return rule ? KEEP_RULES[rule].score(a) - KEEP_RULES[rule].score(b) : 0;
+}
 function getBest(dups) {
-    let earliest = null;
+    let best = null;
     for (let att of dups) {
-        if (!earliest || Zotero.File.pathToFile(att.getFilePath()).lastModifiedTime > Zotero.File.pathToFile(earliest.getFilePath()).lastModifiedTime) {
-            earliest = att;
+        if (!best || compareByRules(att, best) > 0) {
+            best = att;
         }
     }
-    return {best: earliest, dups: dups.filter(a => a.id !== earliest.id)};
+    return {best: best, dups: dups.filter(a => a.id !== best.id)};
 }
-// function getBest(dups) {
-//     let latest = null;
-//     for (let att of dups) {
-//         if (!latest || Zotero.File.pathToFile(att.getFilePath()).lastModifiedTime > Zotero.File.pathToFile(latest.getFilePath()).lastModifiedTime) {
-//             latest = att;
-//         }
-//     }
-//     return {best: latest, dups: dups.filter(a => a.id !== latest.id)};
-// }
 
-async function processRemoving(item) {
-    let removed = 0;
-    let errors = 0;
+// The arXiv version of a preprint from its URL or "Preprint (arXiv vN)" title, 0 when unknown
+function getArXivVersion(att) {
+    const match = /\/(?:abs|pdf)\/[^?#]*?v(\d+)(?:\.pdf)?(?:[?#]|$)/i.exec(att.getField("url")) || /\(arXiv v(\d+)\)/.exec(att.getField("title"));
+    return match ? parseInt(match[1]) : 0;
+}
 
+// Compute which attachments of the item would be trashed and why, without touching anything
+async function planRemoving(item) {
     if (!item.isRegularItem()) {
         // Skip not-regular (Note/Attachment/Annotation) items
-        return { removed: 0, errors: 0 };
+        return null;
     }
 
     if (item.itemType == "webpage") {
         // Skip webpage items
-        return { removed: 0, errors: 0 };
+        return null;
     }
 
-    const attachments = Zotero.Items.get(item.getAttachments()).filter(i => i.isPDFAttachment());
+    const attachments = await getPresentAttachments(Zotero.Items.get(item.getAttachments()).filter(i => i.isPDFAttachment()));
     if (attachments.length < 2) {
         // no duplicates
-        return { removed: 0, errors: 0 };
+        return null;
     }
+    await loadSignals(attachments);
 
     let versioned = [];
     let notVersioned = [];
     let toRemove = [];
+    const isRemoved = att => toRemove.some(r => r.att.id === att.id);
     for (let att of attachments) {
         if (att.getField("title").match(/preprint|accepted version|published version/i)) {
             versioned.push(att);
@@ -122,67 +333,203 @@ async function processRemoving(item) {
 
     for (let att of notVersioned) {
         // prioritize versioned attachments
-        let fileSize = Zotero.File.pathToFile(att.getFilePath()).fileSize;
-        let url = att.getField("url").toLowerCase();
-        if (versioned.some(a => Zotero.File.pathToFile(a.getFilePath()).fileSize == fileSize)) {
-            toRemove.push(att);
-        } else if (!att.getField("title").match(excludeRegEx) 
-            && url !== "" 
-            && versioned.some(a => { let u = a.getField("url").toLowerCase(); return u !== "" && (u.includes(url) || url.includes(u)); })) {
-            toRemove.push(att);
+        for (let a of versioned) {
+            const reason = matchReason(att, a);
+            if (reason && !(reason == "URL containment" && att.getField("title").match(excludeRegEx))) {
+                toRemove.push({ att: att, survivor: a, reason: `unversioned copy of versioned "${a.getField("title")}" (${reason})` });
+                break;
+            }
         }
     }
 
-    let baseLst = versioned.filter(a => a.getField("title").match(/published version/i));
-    if (baseLst.some(a => !a.getField("title").match(/sci-hub/i))) {
-        // has non-Sci-Hub sourced PDF
-        // remove all Sci-Hub PDF, leaving non-Sci-Hub sourced only
-        toRemove = toRemove.concat(baseLst.filter(a => a.getField("title").match(/sci-hub/i)));
-        baseLst = baseLst.filter(a => !a.getField("title").match(/sci-hub/i));
+    function removeGroupDups(baseLst) {
         let left = [];
         for (let att of baseLst) {
-            if (!toRemove.map(a => a.id).includes(att.id) && !left.map(a => a.id).includes(att.id)) {
+            if (!isRemoved(att) && !left.map(a => a.id).includes(att.id)) {
                 let { best, dups } = getBest(getDups(att, baseLst));
                 left.push(best);
-                toRemove = toRemove.concat(dups);
+                for (let dup of dups) {
+                    toRemove.push({ att: dup, survivor: best, reason: `duplicate of kept "${best.getField("title")}" (${matchReason(best, dup) || "chained duplicate"})` });
+                }
             }
         }
-    } else {
+        return left;
+    }
+
+    let baseLst = versioned.filter(a => a.getField("title").match(/published version/i));
+    if (baseLst.some(a => !a.getField("title").match(/sci-hub/i))) {
+        // has non-Sci-Hub sourced PDF
+        // remove all Sci-Hub PDF, leaving non-Sci-Hub sourced only
+        let left = removeGroupDups(baseLst.filter(a => !a.getField("title").match(/sci-hub/i)));
+        for (let att of baseLst.filter(a => a.getField("title").match(/sci-hub/i))) {
+            toRemove.push({ att: att, survivor: left[0], reason: "Sci-Hub copy superseded by a non-Sci-Hub Published Version" });
+        }
+    } else if (baseLst.length > 0) {
         // wholy Sci-Hub PDF
         let { best, dups } = getBest(baseLst);
-        toRemove = toRemove.concat(dups);
+        for (let dup of dups) {
+            const rule = getDecidingRule(best, dup);
+            toRemove.push({ att: dup, survivor: best, reason: `Sci-Hub copy of kept "${best.getField("title")}" (${rule ? `kept by ${KEEP_RULES[rule].label}` : "tied on all keep rules"})` });
+        }
     }
 
-    baseLst = versioned.filter(a => a.getField("title").match(/accepted version/i));
-    left = [];
-    for (let att of baseLst) {
-        if (!toRemove.map(a => a.id).includes(att.id) && !left.map(a => a.id).includes(att.id)) {
-            let { best, dups } = getBest(getDups(att, baseLst));
-            left.push(best);
-            toRemove = toRemove.concat(dups);
+    removeGroupDups(versioned.filter(a => a.getField("title").match(/accepted version/i)));
+    removeGroupDups(versioned.filter(a => a.getField("title").match(/preprint/i)));
+
+    // preprints tagged by "Check for Newer arXiv Versions" go once a newer arXiv version is kept
+    for (let att of versioned.filter(a => a.hasTag(SUPERSEDED_TAG) && !isRemoved(a))) {
+        const newer = versioned.find(a => !isRemoved(a) && !a.hasTag(SUPERSEDED_TAG) && getArXivVersion(a) > getArXivVersion(att));
+        if (newer) {
+            toRemove.push({ att: att, survivor: newer, reason: `superseded by arXiv v${getArXivVersion(newer)} "${newer.getField("title")}"` });
         }
     }
 
-    baseLst = versioned.filter(a => a.getField("title").match(/preprint/i));
-    left = [];
-    for (let att of baseLst) {
-        if (!toRemove.map(a => a.id).includes(att.id) && !left.map(a => a.id).includes(att.id)) {
-            let { best, dups } = getBest(getDups(att, baseLst));
-            left.push(best);
-            toRemove = toRemove.concat(dups);
+    // the same attachment may be matched more than once, only the first reason is kept
+    toRemove = toRemove.filter((r, i) => toRemove.findIndex(s => s.att.id === r.att.id) === i);
+
+    // annotations of a trashed copy are migrated to its survivor when both files are identical,
+    // otherwise the copy is not trashed but flagged for a manual decision
+    let flagged = [];
+    for (let r of toRemove) {
+        while (isRemoved(r.survivor)) {
+            r.survivor = toRemove.find(s => s.att.id === r.survivor.id).survivor;
+        }
+        const count = signals.get(r.att.id).annotations;
+        if (count == 0) {
+            r.migrate = 0;
+        } else if (signals.get(r.att.id).readable && signals.get(r.survivor.id).readable
+            && signals.get(r.att.id).hash == signals.get(r.survivor.id).hash) {
+            r.migrate = count;
+        } else {
+            flagged.push({ att: r.att, reason: `${count} annotations, file differs from kept "${r.survivor.getField("title")}"` });
         }
     }
+    toRemove = toRemove.filter(r => !flagged.some(f => f.att.id === r.att.id));
 
-    for (let att of toRemove) {
+    if (toRemove.length == 0 && flagged.length == 0) {
+        return null;
+    }
+    return { item: item, keep: attachments.filter(a => !isRemoved(a) && !flagged.some(f => f.att.id === a.id)), remove: toRemove, flagged: flagged };
+}
+function formatPlan(plan) {
+    let lines = [`${plan.item.getField("title")} [${plan.item.key}]`];
+    for (let att of plan.keep) {
+        lines.push(`    keep:  ${att.getField("title")} [${att.key}]`);
+    }
+    for (let { att, reason, migrate, survivor } of plan.remove) {
+        const migration = migrate ? `, ${migrate} annotations moved to [${survivor.key}]` : "";
+        lines.push(`    trash: ${att.getField("title")} [${att.key}] - ${reason}${migration}`);
+    }
+    for (let { att, reason } of plan.flagged) {
+        lines.push(`    FLAG:  ${att.getField("title")} [${att.key}] - not trashed, ${reason}`);
+    }
+    for (let { att, status } of skippedFiles.filter(f => f.att.parentItemID === plan.item.id)) {
+        lines.push(`    skip:  ${att.getField("title")} [${att.key}] - file ${status}`);
+    }
+    return lines.join("\n");
+}
+async function saveReport(plans, applied) {
+    const header = `${SCRIPTNAME} report, ${new Date().toLocaleString()}, keeping ${describeStrategy(keepRules)}, ${applied ? "applied" : "dry run, nothing removed"}`;
+    if (REPORT_TARGET == "file") {
+        const dir = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME);
+        await Zotero.File.createDirectoryIfMissingAsync(dir);
+        const path = PathUtils.join(dir, `dedupe-report-${Date.now()}.txt`);
+        await Zotero.File.putContentsAsync(path, [header, ...plans.map(formatPlan)].join("\n\n"));
+        popup(`Report saved to ${path}`, 5);
+        return;
+    }
+    for (let plan of plans) {
+        const note = new Zotero.Item("note");
+        note.libraryID = plan.item.libraryID;
+        note.parentID = plan.item.id;
+        note.setNote(`<h1>${Zotero.Utilities.htmlSpecialChars(header)}</h1>\n<pre>${Zotero.Utilities.htmlSpecialChars(formatPlan(plan))}</pre>`);
+        await note.saveTx();
+    }
+}
+function confirmPlans(plans) {
+    const total = plans.reduce((n, p) => n + p.remove.length, 0);
+    const totalFlagged = plans.reduce((n, p) => n + p.flagged.length, 0);
+    let lines = plans.map(formatPlan).join("\n\n").split("\n");
+    if (lines.length > MAX_PREVIEW_LINES) {
+        lines = lines.slice(0, MAX_PREVIEW_LINES).concat([`... (${lines.length - MAX_PREVIEW_LINES} more lines, save the report to see all)`]);
+    }
+    const ps = Services.prompt;
+    const checkbox = { value: false };
+    const button = ps.confirmEx(null, SCRIPTNAME,
+        `${total} attachments of ${plans.length} items will be moved to the trash, ${totalFlagged} annotated duplicates will be tagged "${FLAG_TAG}":\n\n${lines.join("\n")}`,
+        ps.BUTTON_POS_0 * ps.BUTTON_TITLE_IS_STRING + ps.BUTTON_POS_1 * ps.BUTTON_TITLE_CANCEL + ps.BUTTON_POS_1_DEFAULT,
+        "Move to Trash", null, null,
+        REPORT_TARGET == "file" ? "Save this report to a file" : "Save this report as child notes",
+        checkbox);
+    return { confirmed: button == 0, saveReport: checkbox.value };
+}
+
+async function migrateAnnotations(from, to) {
+    let keys = [];
+    for (let annotation of getAnnotations(from)) {
+        let json = await Zotero.Annotations.toJSON(annotation);
+        // a copy with a new key, the original stays with the trashed attachment
+        json.key = Zotero.DataObjectUtils.generateKey();
+        await Zotero.Annotations.saveFromJSON(to, json);
+        keys.push(json.key);
+    }
+    return keys;
+}
+async function processRemoving(plan) {
+    let removed = 0;
+    let errors = 0;
+    let flagged = 0;
+    let trashed = [];
+    let tagged = [];
+    for (let { att, migrate, survivor } of plan.remove) {
         try {
+            let migrated = [];
+            if (migrate) {
+                migrated = await migrateAnnotations(att, survivor);
+            }
             await Zotero.Items.trashTx(att.id);
             removed += 1;
+            trashed.push({
+                key: att.key,
+                title: att.getField("title"),
+                dateAdded: att.dateAdded,
+                hash: signals.get(att.id).hash,
+                survivorKey: survivor.key,
+                migratedAnnotationKeys: migrated,
+            });
         } catch(e) {
-            error(`Failed to remove attachment ${att.id} (${att.getField("title")}) of ${item.getField("title")}`);
+            error(`Failed to remove attachment ${att.id} (${att.getField("title")}) of ${plan.item.getField("title")}: ${e}`);
             errors += 1;
         }
     }
-    return { removed: removed, errors: errors };
+    for (let { att } of plan.flagged) {
+        try {
+            att.addTag(FLAG_TAG);
+            await att.saveTx();
+            flagged += 1;
+            tagged.push({ key: att.key, title: att.getField("title") });
+        } catch(e) {
+            error(`Failed to tag attachment ${att.id} (${att.getField("title")}) of ${plan.item.getField("title")}: ${e}`);
+            errors += 1;
+        }
+    }
+    const entry = { libraryID: plan.item.libraryID, parentKey: plan.item.key, trashed: trashed, flagged: tagged };
+    return { removed: removed, errors: errors, flagged: flagged, entry: entry };
+}
+
+// The journal keeps the last runs in the Zotero data directory for "Undo Last Deduplication"
+async function readJournal() {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, JOURNAL_FILENAME);
+    if (!(await IOUtils.exists(path))) {
+        return [];
+    }
+    return JSON.parse(await Zotero.File.getContentsAsync(path));
+}
+async function writeJournal(run) {
+    const dir = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME);
+    await Zotero.File.createDirectoryIfMissingAsync(dir);
+    const runs = (await readJournal()).concat([run]).slice(-MAX_JOURNAL_RUNS);
+    await Zotero.File.putContentsAsync(PathUtils.join(dir, JOURNAL_FILENAME), JSON.stringify(runs, null, 2));
 }
 function prepareTopLevelItemsList() {
     if (!items && !item) {
@@ -207,15 +554,47 @@ function prepareTopLevelItemsList() {
     if (!targetItems) {
         return;
     }
+    keepRules = chooseStrategy();
+    if (!keepRules) {
+        return;
+    }
+    let plans = [];
+    for (const item of targetItems) {
+        const plan = await planRemoving(item);
+        if (plan) plans.push(plan);
+    }
+    if (plans.length == 0) {
+        popup(`No duplicate attachments found. Skipped without local file: ${skippedFiles.length}`, 3);
+        return;
+    }
+
+    const { confirmed, saveReport: save } = confirmPlans(plans);
     let totalRemoved = 0;
     let totalErrors = 0;
-    for (const item of targetItems) {
-        const result = await processRemoving(item);
-        totalRemoved += result.removed;
-        totalErrors += result.errors;
+    let totalFlagged = 0;
+    if (confirmed) {
+        let run = {
+            runId: Zotero.DataObjectUtils.generateKey(),
+            timestamp: new Date().toISOString(),
+            strategy: keepRules.join(","),
+            items: [],
+        };
+        for (const plan of plans) {
+            const result = await processRemoving(plan);
+            totalRemoved += result.removed;
+            totalErrors += result.errors;
+            totalFlagged += result.flagged;
+            if (result.entry.trashed.length > 0 || result.entry.flagged.length > 0) run.items.push(result.entry);
+        }
+        if (run.items.length > 0) {
+            await writeJournal(run);
+        }
+    }
+    if (save) {
+        await saveReport(plans, confirmed);
     }
 
-    if (totalRemoved > 0 || totalErrors > 0) {
-        alert(`Successfully removed ${totalRemoved} attachments. Errors: ${totalErrors}`);
+    if (totalRemoved > 0 || totalErrors > 0 || totalFlagged > 0) {
+        alert(`Kept ${describeStrategy(keepRules)}. Successfully removed ${totalRemoved} attachments. Annotated duplicates tagged "${FLAG_TAG}": ${totalFlagged}. Skipped without local file: ${skippedFiles.length}. Errors: ${totalErrors}`);
     }
 })();
\ No newline at end of file
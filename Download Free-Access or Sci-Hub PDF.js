@@ -3,13 +3,92 @@
  * @author cerenkov
  * @version 0.1
  * @requires set up extensions.zotero.findPDFs.resolvers in the Advanced Config Editor, or via the Sci-PDF plugin
- * @usage Select multiple items then trigger in the context menu
+ * @usage Select multiple items then trigger in the context menu, or trigger with nothing selected to retry failed items
+ * @description Sources are tried in the order doi (publisher), custom (Sci-Hub), arxiv (only for
+ * items without a publisher DOI, unless the policy sets "arxivWithDOI": true), and the
+ * attachment title tells where the file came from, e.g. "Published Version",
+ * "Published Version (Sci-Hub)", "Preprint (arXiv vN)" (the latest arXiv version, or the one
+ * pinned in the URL/Extra). To change that, put a JSON policy into
+ * extensions.zotero.actionScripts.download.policy in the Advanced Config Editor, e.g.
+ * {"sources": ["oa", "doi", "arxiv"], "deny": ["custom"], "customLabel": "Sci-Hub",
+ *  "itemTypes": {"preprint": {"sources": ["arxiv"]}},
+ *  "collections": {"<collection key or name>": {"allow": ["custom"]}}}
+ * where item type and collection overrides may replace the sources, deny or allow some.
+ * Items that already have a Published Version PDF, or a PDF labelled with customLabel or
+ * downloaded from a host of the custom resolvers, are skipped.
+ * Failed downloads are classified (no DOI, resolver returned nothing, HTTP 4xx, HTTP 5xx or
+ * timeout, non-PDF payload, rate-limited, unreadable PDF, failed validation, other request
+ * errors); a request that failed for a transient reason is retried with exponential backoff,
+ * and the summary tells which items are worth retrying later.
+ * Several items are downloaded in parallel, with a minimum time between requests to the same
+ * host: extensions.zotero.actionScripts.download.concurrency (default 4) and
+ * extensions.zotero.actionScripts.download.hostSpacing (milliseconds, default 2000) in the
+ * Advanced Config Editor. Triggering the script again during a run, whatever is selected,
+ * offers to cancel it, so that no new downloads are started.
+ * Items without DOI are looked up by title, first author and year on Crossref (or the
+ * endpoint in extensions.zotero.actionScripts.crossref.baseURL); a confident match is written
+ * to the item, a borderline one only after you confirm it once the other downloads are done,
+ * and then the item is downloaded.
+ * Every downloaded file is checked to be a PDF of at least MIN_PAGES pages showing the DOI or
+ * the title of the item on its first page; otherwise it is trashed and the next resolver is tried.
+ * Scans without a text layer cannot be checked for the DOI or title and are kept unverified.
+ * Items whose download failed are tagged #pdf-download-failed (a saved search on the tag lists
+ * them) and get a "PDF-Download-Failed: {reason, timestamp, attempts}" line in Extra; both are
+ * removed once the item is downloaded or skipped. Triggered with nothing selected (e.g. on
+ * program startup), only the failed items of the current library are tried again, if their last
+ * attempt is at least extensions.zotero.actionScripts.download.retryInterval hours (default 24) ago.
  * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
  * suggested Menu Label: Download Free-Access or Sci-Hub PDF (Multiple)
  */
 
 const Zotero = require("Zotero");
 const SCRIPTNAME = "Download PDF";
+const PUBLISHED = "Published Version";
+const ACCEPTED = "Accepted Version";
+const PREPRINT = "Preprint";
+// point extensions.zotero.actionScripts.arxiv.baseURL to a local mirror to download preprints from there
+const ARXIV_BASE_URL = (Zotero.Prefs.get("actionScripts.arxiv.baseURL") || "https://export.arxiv.org").replace(/\/+$/, "");
+const FAIL_NO_DOI = "no DOI";
+const FAIL_NO_SOURCE = "no allowed download source";
+const FAIL_NO_ARXIV_ID = "no arXiv ID";
+const FAIL_UNEXPECTED = "unexpected error";
+const FAIL_NO_FILE = "resolver returned nothing";
+const FAIL_HTTP_4XX = "HTTP 4xx";
+const FAIL_HTTP_5XX = "HTTP 5xx or timeout";
+const FAIL_NON_PDF = "non-PDF payload";
+const FAIL_RATE_LIMITED = "rate-limited";
+const FAIL_REQUEST = "request failed";
+const FAIL_TOO_SHORT = "too few pages";
+const FAIL_UNREADABLE = "PDF not readable (encrypted or corrupt)";
+const FAIL_WRONG_PAPER = "neither DOI nor title on the first page";
+const TRANSIENT_FAILURES = [FAIL_HTTP_5XX, FAIL_RATE_LIMITED];
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 5000; // milliseconds, doubled after each retry
+// a downloaded PDF needs this many pages, and this share of the item's title words on its first page (unless the DOI is there)
+const MIN_PAGES = 2;
+const TITLE_MATCH_RATIO = 0.8;
+// number of items downloaded in parallel, and the minimum time between two requests to the same host
+const CONCURRENCY = Zotero.Prefs.get("actionScripts.download.concurrency") || 4;
+const HOST_SPACING = Zotero.Prefs.get("actionScripts.download.hostSpacing") || 2000; // milliseconds
+const nextRequestAt = new Map();
+// the state of the run in progress, shared with a second trigger of the script to cancel it
+const RUN_STATE = "actionScriptsDownloadRun";
+// sources in the order they are tried, unless extensions.zotero.actionScripts.download.policy says otherwise:
+// doi (publisher via the DOI resolver), oa (open-access copies), custom (findPDFs.resolvers, e.g. Sci-Hub), arxiv;
+// arxiv is only tried for items without a publisher DOI, unless the policy sets "arxivWithDOI": true
+const SOURCES = ["doi", "oa", "custom", "arxiv"];
+const DEFAULT_SOURCES = ["doi", "custom", "arxiv"];
+const policyConfig = readPolicyConfig();
+// failed items get this tag and a machine-readable status line in Extra, both cleared on success
+const FAILED_TAG = "#pdf-download-failed";
+const STATUS_FIELD = "PDF-Download-Failed";
+// minimum time before a failed item is tried again in the retry-failed-only mode
+const RETRY_INTERVAL = (Zotero.Prefs.get("actionScripts.download.retryInterval") || 24) * 3600 * 1000; // hours
+// Crossref-compatible metadata endpoint for items without DOI, override with extensions.zotero.actionScripts.crossref.baseURL
+const CROSSREF_BASE_URL = (Zotero.Prefs.get("actionScripts.crossref.baseURL") || "https://api.crossref.org").replace(/\/+$/, "");
+// DOIs matching at least DOI_ACCEPT_SCORE are written to the item, those above DOI_CONFIRM_SCORE after asking
+const DOI_ACCEPT_SCORE = 0.9;
+const DOI_CONFIRM_SCORE = 0.7;
 
 function popup(msg, timeout = null) {
     const pw = new Zotero.ProgressWindow();
@@ -35,72 +114,500 @@ function error(msg) {
     Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
 }
 
+// Find the arXiv identifier in the DOI, Extra, URL or Archive ID fields, with the version if one is pinned there
+function getArXivID(item) {
+    const candidates = [
+        item.getField("DOI") || item.getExtraField("DOI") || "",
+        item.getField("extra"),
+        item.getField("url"),
+        item.itemType == "preprint" ? item.getField("archiveID") : "",
+    ];
+    for (const str of candidates) {
+        const match = /(?:arxiv[.:\/]\s*|arxiv\.org\/(?:abs|pdf)\/)([a-z\-]+(?:\.[A-Z]{2})?\/\d{7}|\d{4}\.\d{4,5})(?:v(\d+))?/i.exec(str);
+        if (match) return { id: match[1], version: match[2] ? parseInt(match[2]) : null };
+    }
+    return null;
+}
+// Wait for the turn of the URL's host, so that parallel downloads keep HOST_SPACING per host
+async function waitForHost(url) {
+    let host;
+    try {
+        host = new URL(url).host;
+    } catch (e) {
+        return;
+    }
+    const now = Date.now();
+    const at = Math.max(now, nextRequestAt.get(host) || 0);
+    nextRequestAt.set(host, at + HOST_SPACING);
+    if (at > now) {
+        await Zotero.Promise.delay(at - now);
+    }
+}
+// Keep every request to a host that answered 429 back for a while
+function holdHost(url, delay) {
+    try {
+        const host = new URL(url).host;
+        nextRequestAt.set(host, Math.max(nextRequestAt.get(host) || 0, Date.now() + delay));
+    } catch (e) {
+        // no URL to hold
+    }
+}
+
+async function getLatestArXivVersion(id) {
+    const url = `${ARXIV_BASE_URL}/api/query?id_list=${encodeURIComponent(id)}`;
+    await waitForHost(url);
+    const req = await Zotero.HTTP.request('GET', url, {timeout: 15000});
+    const match = /<entry>[\s\S]*?<id>[^<]*\/abs\/[^<]*?v(\d+)\s*<\/id>/.exec(req.responseText);
+    return match ? parseInt(match[1]) : null;
+}
+
+function classifyRequestError(e) {
+    if (e?.status == 429) {
+        return FAIL_RATE_LIMITED;
+    } else if (e?.status >= 400 && e?.status < 500) {
+        return FAIL_HTTP_4XX;
+    } else if (e?.status >= 500 || e?.status === 0 || e instanceof Zotero.HTTP.TimeoutException) {
+        // 5xx, timeouts and connection failures (status 0)
+        return FAIL_HTTP_5XX;
+    }
+    // anything else, e.g. a file system error, would fail the same way again
+    warn(`Request failed: ${e}`);
+    return FAIL_REQUEST;
+}
+async function isPDFFile(attachment) {
+    const bytes = await IOUtils.read(await attachment.getFilePathAsync(), { maxBytes: 5 });
+    return String.fromCharCode(...bytes) == "%PDF-";
+}
+// Check that the downloaded file is really the paper and not a paywall, captcha or another article
+async function validateDownload(item, attachment) {
+    if (!(await isPDFFile(attachment))) {
+        return FAIL_NON_PDF;
+    }
+    let text, totalPages;
+    try {
+        ({ text, totalPages } = await Zotero.PDFWorker.getFullText(attachment.id, 1));
+    } catch (e) {
+        warn(`Cannot read ${attachment.getField("url")}: ${e}`);
+        return FAIL_UNREADABLE;
+    }
+    if (totalPages < MIN_PAGES) {
+        return FAIL_TOO_SHORT;
+    }
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+        // a scan without a text layer (as many old Sci-Hub papers are) cannot be checked, keep it unverified
+        warn(`No text on the first page, kept unverified: ${attachment.getField("url")}`);
+        return null;
+    }
+    const firstPage = Zotero.Utilities.removeDiacritics(text.toLowerCase());
+    const doi = (item.getField('DOI') || item.getExtraField('DOI') || "").toLowerCase();
+    if (doi && firstPage.includes(doi)) {
+        return null;
+    }
+    const titleWords = Zotero.Utilities.removeDiacritics(item.getField("title").toLowerCase()).split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 2);
+    const pageWords = new Set(firstPage.split(/[^\p{L}\p{N}]+/u));
+    if (titleWords.length > 0 && titleWords.filter(w => pageWords.has(w)).length / titleWords.length >= TITLE_MATCH_RATIO) {
+        return null;
+    }
+    return FAIL_WRONG_PAPER;
+}
+// Try the given resolvers in order, classified on failure; only a request that failed for a
+// transient reason is repeated, a file failing validation is trashed and the next resolver is tried
+async function tryResolvers(item, resolvers, onRetry) {
+    let failure = null;
+    for (const entry of resolvers) {
+        let candidates = [entry];
+        if (typeof entry == 'function') {
+            // resolver functions (OA and custom resolvers) look the file URLs up first
+            const lookup = await withRetries(async () => {
+                try {
+                    return { candidates: await entry() || [], failure: null };
+                } catch (e) {
+                    return { candidates: [], failure: classifyRequestError(e) };
+                }
+            }, onRetry);
+            if (lookup.failure) {
+                failure = worseFailure(failure, lookup.failure);
+                continue;
+            }
+            candidates = lookup.candidates;
+        }
+        for (const resolver of candidates) {
+            const download = await withRetries(async () => {
+                let requestError = null;
+                const attachment = await Zotero.Attachments.addFileFromURLs(item, [resolver], {
+                    onBeforeRequest: waitForHost,
+                    onRequestError: function (e) {
+                        requestError = e;
+                        if (e.status == 429) holdHost(e.url, RETRY_BASE_DELAY);
+                        return false;
+                    },
+                });
+                return { attachment: attachment, failure: attachment ? null : requestError ? classifyRequestError(requestError) : FAIL_NO_FILE };
+            }, onRetry);
+            const attachment = download.attachment;
+            if (!attachment) {
+                failure = worseFailure(failure, download.failure);
+                continue;
+            }
+            let invalid;
+            try {
+                invalid = await validateDownload(item, attachment);
+            } catch (e) {
+                warn(`Cannot validate ${attachment.getField("url")}: ${e}`);
+                invalid = FAIL_UNREADABLE;
+            }
+            if (!invalid) {
+                return { attachment: attachment, resolver: resolver, failure: null };
+            }
+            error(`Discarded download from ${attachment.getField("url")} (${invalid}): ${item.getField("title")}`);
+            await Zotero.Items.trashTx(attachment.id);
+            failure = worseFailure(failure, invalid);
+        }
+    }
+    return { attachment: null, resolver: null, failure: failure || FAIL_NO_FILE };
+}
+// Repeat a request with exponential backoff as long as it fails for transient reasons
+async function withRetries(attempt, onRetry) {
+    let result;
+    for (let retry = 0; ; retry++) {
+        result = await attempt();
+        if (!TRANSIENT_FAILURES.includes(result.failure) || retry >= MAX_RETRIES) {
+            return result;
+        }
+        const delay = RETRY_BASE_DELAY * 2 ** retry;
+        onRetry(`${result.failure}, retry ${retry + 1} of ${MAX_RETRIES} in ${delay / 1000}s`);
+        await Zotero.Promise.delay(delay);
+    }
+}
+// The failure to report after the next one: the first recorded failure is kept, unless the next
+// one is worth retrying later and the recorded one is not
+function worseFailure(recorded, next) {
+    if (!recorded) {
+        return next;
+    }
+    return TRANSIENT_FAILURES.includes(next) && !TRANSIENT_FAILURES.includes(recorded) ? next : recorded;
+}
+
+// Why a policy (or one of its item type or collection overrides) cannot be used, null when it is fine
+function checkPolicy(policy, where) {
+    if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+        return `${where} is not an object`;
+    }
+    for (const key of ["sources", "deny", "allow"]) {
+        const value = policy[key];
+        if (value !== undefined && (!Array.isArray(value) || !value.every(s => SOURCES.includes(s)))) {
+            return `${where}: "${key}" must be an array of ${SOURCES.join(", ")}`;
+        }
+    }
+    if (policy.customLabel !== undefined && (typeof policy.customLabel !== "string" || !policy.customLabel)) {
+        return `${where}: "customLabel" must be a non-empty string`;
+    }
+    if (policy.arxivWithDOI !== undefined && typeof policy.arxivWithDOI !== "boolean") {
+        return `${where}: "arxivWithDOI" must be true or false`;
+    }
+    return null;
+}
+// Read the policy from extensions.zotero.actionScripts.download.policy, null when it is not valid
+function readPolicyConfig() {
+    let config;
+    try {
+        config = JSON.parse(Zotero.Prefs.get("actionScripts.download.policy") || "{}");
+    } catch (e) {
+        error(`Invalid extensions.zotero.actionScripts.download.policy: ${e}`);
+        return null;
+    }
+    let problems = [checkPolicy(config, "policy")];
+    for (const group of ["itemTypes", "collections"]) {
+        if (config?.[group] === undefined) continue;
+        if (!config[group] || typeof config[group] !== "object" || Array.isArray(config[group])) {
+            problems.push(`"${group}" is not an object`);
+            continue;
+        }
+        for (const [name, override] of Object.entries(config[group])) {
+            problems.push(checkPolicy(override, `${group} "${name}"`));
+        }
+    }
+    problems = problems.filter(Boolean);
+    if (problems.length > 0) {
+        error(`Invalid extensions.zotero.actionScripts.download.policy: ${problems.join("; ")}`);
+        return null;
+    }
+    return config;
+}
+function applyPolicyOverride(policy, override) {
+    if (!override) {
+        return policy;
+    }
+    return {
+        sources: override.sources || policy.sources,
+        deny: policy.deny.concat(override.deny || []).filter(s => !(override.allow || []).includes(s)),
+        customLabel: override.customLabel || policy.customLabel,
+        arxivWithDOI: override.arxivWithDOI ?? policy.arxivWithDOI,
+    };
+}
+// The ordered allowed sources for an item: global policy, then its item type, then its collections (by key or name)
+function getPolicy(item) {
+    let policy = applyPolicyOverride({ sources: DEFAULT_SOURCES, deny: [], customLabel: "Sci-Hub", arxivWithDOI: false }, policyConfig);
+    policy = applyPolicyOverride(policy, policyConfig.itemTypes?.[item.itemType]);
+    for (const collection of Zotero.Collections.get(item.getCollections())) {
+        policy = applyPolicyOverride(policy, policyConfig.collections?.[collection.key] || policyConfig.collections?.[collection.name]);
+    }
+    return { sources: policy.sources.filter(s => !policy.deny.includes(s)), customLabel: policy.customLabel, arxivWithDOI: policy.arxivWithDOI };
+}
+
+// The hosts of the custom resolvers in extensions.zotero.findPDFs.resolvers
+function getCustomResolverHosts() {
+    let resolvers;
+    try {
+        resolvers = JSON.parse(Zotero.Prefs.get("findPDFs.resolvers") || "[]");
+    } catch (e) {
+        return [];
+    }
+    return (Array.isArray(resolvers) ? resolvers : [resolvers]).flatMap(r => {
+        try {
+            return [new URL(r.url.replace(/\{[^}]*\}/g, "x")).host.toLowerCase()];
+        } catch (e) {
+            return [];
+        }
+    });
+}
+// Whether the item has a PDF at least as good as any the policy could download: a Published Version or a custom resolver copy
+function hasDownloadedPDF(item, policy) {
+    const customHosts = getCustomResolverHosts();
+    const fromCustomHost = url => {
+        try {
+            return customHosts.includes(new URL(url).host.toLowerCase());
+        } catch (e) {
+            return false;
+        }
+    };
+    return Zotero.Items.get(item.getAttachments()).some(i => i.isPDFAttachment()
+        && (i.getField("title").match(/published/i)
+            || i.getField("title").toLowerCase().includes(policy.customLabel.toLowerCase())
+            || fromCustomHost(i.getField("url"))));
+}
+
+// The resolvers of a source for the item, the reason why the source does not apply, or null when it is not tried for the item
+async function getSourceResolvers(source, item, policy, onRetry) {
+    const doi = item.getField('DOI') || item.getExtraField('DOI');
+    const publisherDOI = doi && !doi.match(/arxiv/i);
+    if (source == "doi" || source == "oa" || source == "custom") {
+        if (!publisherDOI) {
+            return { resolvers: [], failure: FAIL_NO_DOI };
+        }
+        return { resolvers: Zotero.Attachments.getFileResolvers(item, source), failure: null };
+    } else if (source == "arxiv") {
+        if (publisherDOI && !policy.arxivWithDOI) {
+            // preprints are a fallback for items without a publisher DOI only
+            return null;
+        }
+        const arXiv = getArXivID(item);
+        if (!arXiv) {
+            return { resolvers: [], failure: FAIL_NO_ARXIV_ID };
+        }
+        let version = arXiv.version;
+        if (!version) {
+            const lookup = await withRetries(async () => {
+                try {
+                    version = await getLatestArXivVersion(arXiv.id);
+                    return { failure: version ? null : FAIL_NO_FILE };
+                } catch (e) {
+                    return { failure: classifyRequestError(e) };
+                }
+            }, onRetry);
+            if (!version) {
+                error(`arXiv ${arXiv.id} lookup failed (${lookup.failure}): ${item.getField("title")}`);
+                return { resolvers: [], failure: lookup.failure, tried: true };
+            }
+        }
+        return { resolvers: [{ url: `${ARXIV_BASE_URL}/pdf/${arXiv.id}v${version}`, accessMethod: 'arXiv', articleVersion: 'submittedVersion', arXivVersion: version }], failure: null };
+    }
+    error(`Unknown download source in policy: ${source}`);
+    return { resolvers: [], failure: FAIL_NO_SOURCE };
+}
+// The attachment title tells which source the file came from
+function getSourceTitle(source, resolver, policy) {
+    if (source == "arxiv") {
+        return `${PREPRINT} (arXiv v${resolver.arXivVersion})`;
+    } else if (source == "custom") {
+        return `${PUBLISHED} (${policy.customLabel})`;
+    } else if (source == "oa") {
+        return { publishedVersion: PUBLISHED, acceptedVersion: ACCEPTED, submittedVersion: PREPRINT }[resolver.articleVersion] || "Unknown";
+    }
+    return PUBLISHED;
+}
+
+function getTitleWords(str) {
+    return new Set(Zotero.Utilities.removeDiacritics(str.toLowerCase()).split(/[^\p{L}\p{N}]+/u).filter(w => w));
+}
+// Match score in [0, 1] of a Crossref work for the item: title words (0.7), first author (0.2), year (0.1)
+function scoreCandidate(work, title, author, year) {
+    const a = getTitleWords(title);
+    const b = getTitleWords((work.title || [""])[0]);
+    const common = [...a].filter(w => b.has(w)).length;
+    let score = 0.7 * common / (a.size + b.size - common || 1);
+    if (author && (work.author || []).some(c => (c.family || "").toLowerCase() == author.toLowerCase())) {
+        score += 0.2;
+    }
+    const workYear = work.issued?.["date-parts"]?.[0]?.[0];
+    if (year && workYear == year) {
+        score += 0.1;
+    } else if (year && Math.abs(workYear - year) == 1) {
+        score += 0.05;
+    }
+    return score;
+}
+// The best Crossref match for the item with its score, or null if none scores DOI_CONFIRM_SCORE
+async function discoverDOI(item) {
+    const title = item.getField("title");
+    if (!title) {
+        return null;
+    }
+    const author = item.getCreator(0)?.lastName || "";
+    const year = parseInt((/\d{4}/.exec(item.getField("date")) || [])[0]) || null;
+    const url = `${CROSSREF_BASE_URL}/works?rows=5&select=DOI,title,author,issued`
+        + `&query.bibliographic=${encodeURIComponent(year ? `${title} ${year}` : title)}`
+        + (author ? `&query.author=${encodeURIComponent(author)}` : "");
+    let works;
+    try {
+        await waitForHost(url);
+        const req = await Zotero.HTTP.request('GET', url, {responseType: 'json', timeout: 15000});
+        works = req.response?.message?.items;
+    } catch (e) {
+        warn(`DOI lookup failed (${classifyRequestError(e)}): ${title}`);
+        return null;
+    }
+    if (!Array.isArray(works)) {
+        warn(`DOI lookup failed (unexpected response): ${title}`);
+        return null;
+    }
+    const best = works.map(w => ({ work: w, score: scoreCandidate(w, title, author, year) })).sort((a, b) => b.score - a.score)[0];
+    if (!best || !best.work.DOI || best.score < DOI_CONFIRM_SCORE) {
+        return null;
+    }
+    return best;
+}
+// Ask whether a borderline match is the DOI of the item; only called one at a time, after the downloads
+function confirmDOI(item, match) {
+    const author = item.getCreator(0)?.lastName || "";
+    const year = (/\d{4}/.exec(item.getField("date")) || [""])[0];
+    return Services.prompt.confirm(null, SCRIPTNAME, `Is this the DOI of "${item.getField("title")}" (${author} ${year})?\n\n${match.work.DOI}\n"${(match.work.title || [""])[0]}"\nmatch score ${match.score.toFixed(2)}`);
+}
+async function setDOI(item, match) {
+    if (Zotero.ItemFields.isValidForType(Zotero.ItemFields.getID('DOI'), item.itemTypeID)) {
+        item.setField('DOI', match.work.DOI);
+    } else {
+        item.setField('extra', `${item.getField('extra')}\nDOI: ${match.work.DOI}`.trim());
+    }
+    await item.saveTx();
+    log(`DOI ${match.work.DOI} found with match score ${match.score.toFixed(2)}: ${item.getField("title")}`);
+}
+
+// The failure status stored in Extra as "PDF-Download-Failed: {reason, timestamp, attempts}", or null
+function getFailureStatus(item) {
+    const line = item.getField("extra").split("\n").find(l => l.startsWith(`${STATUS_FIELD}: `));
+    if (!line) {
+        return null;
+    }
+    try {
+        return JSON.parse(line.slice(STATUS_FIELD.length + 2));
+    } catch (e) {
+        warn(`Unreadable ${STATUS_FIELD} line of item ${item.id}: ${line}`);
+        return null;
+    }
+}
+function setExtraStatusLine(item, status) {
+    let lines = item.getField("extra").split("\n").filter(l => !l.startsWith(`${STATUS_FIELD}: `));
+    if (status) {
+        lines.push(`${STATUS_FIELD}: ${JSON.stringify(status)}`);
+    }
+    item.setField("extra", lines.join("\n").trim());
+}
+async function recordFailure(item, failure) {
+    const previous = getFailureStatus(item);
+    setExtraStatusLine(item, { reason: failure, timestamp: new Date().toISOString(), attempts: (previous?.attempts || 0) + 1 });
+    item.addTag(FAILED_TAG);
+    await item.saveTx();
+}
+async function clearFailure(item) {
+    if (!getFailureStatus(item) && !item.hasTag(FAILED_TAG)) {
+        return;
+    }
+    setExtraStatusLine(item, null);
+    item.removeTag(FAILED_TAG);
+    await item.saveTx();
+}
+
 // Function to process downloading of each parent item
-async function processDownloading(item) {
+async function processDownloading(item, onRetry) {
     if (!item.isRegularItem()) {
         // Skip not-regular (Note/Attachment/Annotation) items
-        return { downloaded: 0, errors: 0 };
+        return { downloaded: 0, errors: 0, failure: null };
     }
 
     if (item.itemType == "webpage" || item.itemType == "book") {
         // Skip webpage items and book items
-        return { downloaded: 0, errors: 0 };
+        return { downloaded: 0, errors: 0, failure: null };
     }
 
-    if (Zotero.Items.get(item.getAttachments())
-        .some(
-            i => i.isPDFAttachment() 
-            && (i.getField("url").match(/sci-hub/i) 
-                || i.getField("title").match(/sci-hub/i) 
-                || i.getField("title").match(/published/i))
-        )) {
-        // Skip items that already have Sci-Hub PDF or Published Version PDF
-        return { downloaded: 0, errors: 0 };
+    const policy = getPolicy(item);
+    if (hasDownloadedPDF(item, policy)) {
+        // Skip items that already have a Published Version PDF or one from the custom resolvers (e.g. Sci-Hub)
+        return { downloaded: 0, errors: 0, failure: null };
     }
 
     const itemTitle = item.getField("title");
-    if (!item.getField('DOI') && !item.getExtraField('DOI')) {
-        error(`no DOI: ${itemTitle}`);
-        popup(`no DOI: ${itemTitle}`);
-        return { downloaded: 0, errors: 1 };
-    } else if ((item.getField('DOI') || item.getExtraField('DOI')).match(/arxiv/i)) {
-        if (item.itemType == "preprint" || item.itemType == "conferencePaper") {
-            // silently skip Preprints and ConferencePapers that reasonably don't have non-arXiv DOI
-            warn(`DOI is arXiv for Preprint or PonferencePaper: ${itemTitle}`);
-            return { downloaded: 0, errors: 0 };
-        } else {
-            error(`DOI is arXiv: ${itemTitle}`);
-            popup(`DOI is arXiv: ${itemTitle}`);
-            return { downloaded: 0, errors: 1 };
+    if (policy.sources.length == 0) {
+        error(`${FAIL_NO_SOURCE}: ${itemTitle}`);
+        return { downloaded: 0, errors: 1, failure: FAIL_NO_SOURCE };
+    }
+    if (!item.getField('DOI') && !item.getExtraField('DOI') && !getArXivID(item) && policy.sources.some(s => s !== "arxiv")) {
+        // look the DOI up by title, first author and year before giving up
+        const match = await discoverDOI(item);
+        if (match && match.score < DOI_ACCEPT_SCORE) {
+            // without a DOI no source applies, so the item waits for the confirmation after the run
+            return { downloaded: 0, errors: 0, failure: null, doiMatch: match };
+        }
+        if (match) {
+            await setDOI(item, match);
         }
     }
 
-    let resolvers = Zotero.Attachments.getFileResolvers(item, 'doi');
-    let attachment = await Zotero.Attachments.addFileFromURLs(item, resolvers);
-    if (attachment) {
-        attachment.setField('title', 'Published Version');
-        await attachment.saveTx();
-        return { downloaded: 1, errors: 0 };
+    let attempts = [];
+    for (const source of policy.sources) {
+        if (source == "arxiv" && Zotero.Items.get(item.getAttachments()).some(i => i.isPDFAttachment() && (i.getField("url").match(/arxiv/i) || i.getField("title").match(/arxiv/i)))) {
+            // Skip the arXiv source for items that already have an arXiv PDF
+            continue;
+        }
+        const found = await getSourceResolvers(source, item, policy, onRetry);
+        if (!found) {
+            continue;
+        }
+        const { resolvers, failure, tried } = found;
+        if (failure) {
+            attempts.push({ source: source, failure: failure, tried: !!tried });
+            continue;
+        }
+        const result = await tryResolvers(item, resolvers, onRetry);
+        if (result.attachment) {
+            result.attachment.setField('title', getSourceTitle(source, result.resolver, policy));
+            await result.attachment.saveTx();
+            return { downloaded: 1, errors: 0, failure: null };
+        }
+        attempts.push({ source: source, failure: result.failure, tried: true });
     }
-
-    // TODO: distinguish network error from sci-hub-resolved file-not-found
-    resolvers = Zotero.Attachments.getFileResolvers(item, 'custom');
-    attachment = await Zotero.Attachments.addFileFromURLs(item, resolvers, {onRequestError: function (e) { error(`Network error when downloading (${e.status}): ${itemTitle}`); return false; }});
-    if (attachment) {
-        attachment.setField('title', 'Published Version (Sci-Hub)');
-        await attachment.saveTx();
-        return { downloaded: 1, errors: 0 };
+    const tried = attempts.filter(a => a.tried);
+    if (tried.length == 0) {
+        // no source applies to the item (e.g. no DOI and an arXiv PDF already there), skip it like before
+        return { downloaded: 0, errors: 0, failure: null };
     }
 
-    error(`Download failed (no file, or network errors on download or on resolver): ${itemTitle}`);
-    popup(`Download failed: ${itemTitle}`);
-    return { downloaded: 0, errors: 1 };
+    // a failure worth retrying later is the most telling, then the last real download attempt
+    const failure = (attempts.find(a => TRANSIENT_FAILURES.includes(a.failure)) || tried[tried.length - 1]).failure;
+    error(`Download failed (${attempts.map(a => `${a.source}: ${a.failure}`).join(", ")}): ${itemTitle}`);
+    return { downloaded: 0, errors: 1, failure: failure };
 }
 function prepareTopLevelItemsList() {
-    if (!items && !item) {
-        alert("No item or items array provided.");
-        return false;
-    }
     if (item) {
         // reject script calls with items=[], item=...
         return false;
@@ -109,36 +616,164 @@ function prepareTopLevelItemsList() {
         // accept script calls with items=[...], item=undefined
         return Zotero.Items.getTopLevel(items);
     } else {
-        return false;
+        // nothing selected, e.g. triggered on program startup: retry failed items only
+        return null;
     }
 }
+// The items of the current library tagged as failed whose last attempt is at least RETRY_INTERVAL ago
+async function prepareFailedItemsList() {
+    const libraryID = Zotero.getActiveZoteroPane()?.getSelectedLibraryID() || Zotero.Libraries.userLibraryID;
+    const search = new Zotero.Search();
+    search.libraryID = libraryID;
+    search.addCondition("tag", "is", FAILED_TAG);
+    const failedItems = Zotero.Items.get(await search.search()).filter(i => !i.deleted);
+    return failedItems.filter(i => {
+        const status = getFailureStatus(i);
+        return !status || Date.now() - new Date(status.timestamp).getTime() >= RETRY_INTERVAL;
+    });
+}
 
 // Main execution block
 (async () => {
+    if (Zotero[RUN_STATE]) {
+        // triggered again while downloading, with any selection: offer to stop scheduling new downloads,
+        // once per trigger (the script is called with the selection, then with each selected item)
+        const run = Zotero[RUN_STATE];
+        if (item && run.askedFor.includes(item.id)) {
+            run.askedFor = run.askedFor.filter(id => id !== item.id);
+            return;
+        }
+        run.askedFor = item ? [] : (items || []).map(i => i.id);
+        if (!run.cancelled && Services.prompt.confirm(null, SCRIPTNAME, "A download run is in progress. Cancel it after the downloads in flight?")) {
+            run.cancelled = true;
+        }
+        return;
+    }
+    if (item) {
+        // reject script calls with items=[], item=...
+        return;
+    }
     let targetItems = prepareTopLevelItemsList();
+    if (targetItems === null) {
+        targetItems = await prepareFailedItemsList();
+        if (targetItems.length == 0) {
+            log(`[${SCRIPTNAME}] No failed downloads due for retrying.`);
+            return;
+        }
+    }
     if (!targetItems) {
         return;
     }
+    if (!policyConfig) {
+        alert("extensions.zotero.actionScripts.download.policy is not a valid policy (see the error console), nothing downloaded.");
+        return;
+    }
     let totalItems = targetItems.length;
     let totalDownloaded = 0;
     let totalErrors = 0;
     let totalSkipped = 0;
-    const pw = new Zotero.ProgressWindow();
-    pw.changeHeadline(SCRIPTNAME);
-    let itemProgress = new pw.ItemProgress(null, `Checking all ${totalItems} items.`);
-    itemProgress.setProgress((totalDownloaded+totalErrors+totalSkipped)/totalItems*100);
-    pw.show();
-    for (const item of targetItems) {
-        const result = await processDownloading(item);
-        totalDownloaded += result.downloaded;
-        totalErrors += result.errors;
-        totalSkipped += 1 - result.downloaded - result.errors;
-        itemProgress.setText(`${totalDownloaded} succeeded, ${totalErrors} failed and ${totalSkipped} skipped in all ${totalItems} items.`);
+    let inFlight = 0;
+    let failures = new Map();
+    let queue = [...targetItems];
+    // items with a borderline DOI match, confirmed one at a time after the downloads
+    let doiMatches = [];
+    const run = { cancelled: false, askedFor: [] };
+    try {
+        // set inside the try, so that the finally below never leaves a stale run behind
+        Zotero[RUN_STATE] = run;
+        const pw = new Zotero.ProgressWindow();
+        pw.changeHeadline(SCRIPTNAME);
+        let itemProgress = new pw.ItemProgress(null, `Checking all ${totalItems} items.`);
         itemProgress.setProgress((totalDownloaded+totalErrors+totalSkipped)/totalItems*100);
+        // a fixed set of lines: the totals, one per download slot and the last failure
+        const slotProgresses = Array.from({ length: Math.min(CONCURRENCY, totalItems) }, () => new pw.ItemProgress(null, ""));
+        const failureProgress = new pw.ItemProgress(null, "");
+        pw.show();
+        const updateProgress = () => {
+            itemProgress.setText(`${inFlight} in flight, ${totalDownloaded} succeeded, ${totalErrors} failed and ${totalSkipped} skipped in all ${totalItems} items.`);
+            itemProgress.setProgress((totalDownloaded+totalErrors+totalSkipped)/totalItems*100);
+        };
+        const finishItem = async (item, result) => {
+            const itemTitle = item.getField("title");
+            totalDownloaded += result.downloaded;
+            totalErrors += result.errors;
+            totalSkipped += 1 - result.downloaded - result.errors;
+            try {
+                // an unexpected error is no download failure worth retrying, the item keeps its status
+                if (result.failure && result.failure !== FAIL_UNEXPECTED) {
+                    await recordFailure(item, result.failure);
+                } else if (!result.failure) {
+                    await clearFailure(item);
+                }
+            } catch (e) {
+                error(`Failed to store the download status of ${itemTitle}: ${e}`);
+            }
+            if (result.failure) {
+                failures.set(result.failure, (failures.get(result.failure) || []).concat([itemTitle]));
+                failureProgress.setText(`Last failure, ${TRANSIENT_FAILURES.includes(result.failure) ? "retry later" : "give up"} (${result.failure}): ${itemTitle}`);
+            }
+        };
+        // one progress line per download slot
+        const worker = async (slotProgress) => {
+            while (queue.length > 0 && !run.cancelled) {
+                const item = queue.shift();
+                const itemTitle = item.getField("title");
+                inFlight += 1;
+                slotProgress.setText(itemTitle);
+                updateProgress();
+                let result;
+                try {
+                    result = await processDownloading(item, msg => slotProgress.setText(`${itemTitle}: ${msg}`));
+                } catch (e) {
+                    error(`Error downloading ${itemTitle}: ${e}`);
+                    result = { downloaded: 0, errors: 1, failure: FAIL_UNEXPECTED };
+                }
+                inFlight -= 1;
+                if (result.doiMatch) {
+                    doiMatches.push({ item: item, match: result.doiMatch });
+                } else {
+                    await finishItem(item, result);
+                }
+                slotProgress.setText("");
+                updateProgress();
+            }
+        };
+        await Promise.all(slotProgresses.map(worker));
+        if (!run.cancelled && doiMatches.length > 0) {
+            // the confirmations are modal, so they are asked one after another once no download runs anymore
+            for (const { item, match } of doiMatches) {
+                if (!confirmDOI(item, match)) {
+                    error(`Download failed (${FAIL_NO_DOI}, DOI match rejected): ${item.getField("title")}`);
+                    await finishItem(item, { downloaded: 0, errors: 1, failure: FAIL_NO_DOI });
+                    continue;
+                }
+                try {
+                    await setDOI(item, match);
+                    queue.push(item);
+                } catch (e) {
+                    error(`Error saving the DOI of ${item.getField("title")}: ${e}`);
+                    await finishItem(item, { downloaded: 0, errors: 1, failure: FAIL_UNEXPECTED });
+                }
+            }
+            updateProgress();
+            await Promise.all(slotProgresses.map(worker));
+        } else {
+            queue.push(...doiMatches.map(m => m.item));
+        }
+    } finally {
+        delete Zotero[RUN_STATE];
     }
 
     // Display a summary alert only if there are significant outcomes to report
-    if (totalDownloaded > 0 || totalErrors > 0) {
-        alert(`Successfully downloaded ${totalDownloaded} attachments. Errors: ${totalErrors}`);
+    if (totalDownloaded > 0 || totalErrors > 0 || run.cancelled) {
+        let lines = [];
+        for (const [failure, titles] of failures) {
+            const more = titles.length > 3 ? `, and ${titles.length - 3} more` : "";
+            lines.push(`${failure} (${TRANSIENT_FAILURES.includes(failure) ? "retry later" : "give up"}): ${titles.length}, e.g. ${titles.slice(0, 3).join("; ")}${more}`);
+        }
+        if (run.cancelled) {
+            lines.push(`Cancelled, ${queue.length} items not started.`);
+        }
+        alert(`Successfully downloaded ${totalDownloaded} attachments. Errors: ${totalErrors}${lines.length ? "\n\n" + lines.join("\n") : ""}`);
     }
 })();
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * @file Find Duplicate PDFs Across Items
+ * @author cerenkov
+ * @version 0.1
+ * @usage Select any item of a library (or just the library) then trigger in the context menu
+ * @description Scans all PDF attachments of the whole library and groups the parent items
+ * that share an identical PDF file (MD5) or the same DOI / arXiv identifier, e.g. a preprint
+ * item and its journal-article item. The groups are written to a standalone report note
+ * before anything is changed; afterwards you can choose to move the PDF attachments of each
+ * group under one surviving parent (a non-preprint item with a publisher DOI is preferred).
+ * The other parent items are left in place, merge or delete them with Zotero's duplicate
+ * merging after reviewing the report, and run "DeDuplicate PDF Attachments" on the survivors.
+ * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
+ * suggested Menu Label: Find Duplicate PDFs Across Items
+ */
+
+const Zotero = require("Zotero");
+const SCRIPTNAME = "Find Duplicate PDFs";
+
+function popup(msg, timeout = null) {
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    pw.addDescription(msg);
+    pw.show();
+    if (timeout) pw.startCloseTimer(timeout * 1000);
+}
+function log(msg) {
+    if (typeof msg == "object") {
+        Zotero.log(JSON.stringify(msg), "info");
+    } else {
+        Zotero.log(msg, "info");
+    }
+}
+function alert(msg) {
+    Zotero.alert(null, SCRIPTNAME, `[${SCRIPTNAME}] ${msg}`);
+}
+function warn(msg) {
+    Zotero.warn(`[${SCRIPTNAME}] ${msg}`);
+}
+function error(msg) {
+    Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
+}
+
+function getArXivID(item) {
+    const candidates = [
+        item.getField("DOI") || item.getExtraField("DOI") || "",
+        item.getField("extra"),
+        item.getField("url"),
+        item.itemType == "preprint" ? item.getField("archiveID") : "",
+    ];
+    for (const str of candidates) {
+        const match = /(?:arxiv[.:\/]\s*|arxiv\.org\/(?:abs|pdf)\/)([a-z\-]+(?:\.[A-Z]{2})?\/\d{7}|\d{4}\.\d{4,5})/i.exec(str);
+        if (match) return match[1].toLowerCase();
+    }
+    return null;
+}
+function getIdentifiers(item) {
+    let ids = [];
+    const doi = (item.getField("DOI") || item.getExtraField("DOI") || "").toLowerCase().replace(/^https?:\/\/(dx\.)?doi\.org\//, "");
+    if (doi && !/arxiv/i.test(doi)) {
+        ids.push(`DOI ${doi}`);
+    }
+    const arXivID = getArXivID(item);
+    if (arXivID) {
+        ids.push(`arXiv ${arXivID}`);
+    }
+    return ids;
+}
+
+// Union-find over parent item IDs, every shared file or identifier joins two parents
+function makeGroups() {
+    let parentOf = new Map();
+    const find = id => {
+        while (parentOf.get(id) !== id) id = parentOf.get(id);
+        return id;
+    };
+    return {
+        add: id => { if (!parentOf.has(id)) parentOf.set(id, id); },
+        union: (a, b) => { parentOf.set(find(a), find(b)); },
+        groups: () => {
+            let groups = new Map();
+            for (const id of parentOf.keys()) {
+                const root = find(id);
+                groups.set(root, (groups.get(root) || []).concat([id]));
+            }
+            return [...groups.values()].filter(g => g.length > 1);
+        },
+    };
+}
+
+// Prefer the published record: not a preprint, has a non-arXiv DOI, added earliest
+function getSurvivor(parents) {
+    const score = p => (p.itemType == "preprint" ? 0 : 2) + (getIdentifiers(p).some(id => id.startsWith("DOI")) ? 1 : 0);
+    return [...parents].sort((a, b) => score(b) - score(a) || (a.dateAdded < b.dateAdded ? -1 : 1))[0];
+}
+
+async function indexLibrary(libraryID, itemProgress) {
+    const attachments = (await Zotero.Items.getAll(libraryID, false, false))
+        .filter(i => i.isPDFAttachment() && i.parentItemID);
+    let groups = makeGroups();
+    let byKey = new Map();
+    let reasons = new Map();
+    const link = (key, parentID, reason) => {
+        groups.add(parentID);
+        if (byKey.has(key) && byKey.get(key) !== parentID) {
+            groups.union(byKey.get(key), parentID);
+            reasons.set(parentID, (reasons.get(parentID) || new Set()).add(reason));
+            reasons.set(byKey.get(key), (reasons.get(byKey.get(key)) || new Set()).add(reason));
+        } else {
+            byKey.set(key, parentID);
+        }
+    };
+    let done = 0;
+    for (const att of attachments) {
+        const parentItem = att.parentItem;
+        for (const id of getIdentifiers(parentItem)) {
+            link(id, parentItem.id, `same ${id}`);
+        }
+        const path = att.getFilePath();
+        if (path && await att.fileExists()) {
+            try {
+                const hash = await Zotero.Utilities.Internal.md5Async(path);
+                link(`md5 ${hash}`, parentItem.id, "identical PDF file");
+            } catch (e) {
+                warn(`Cannot read file of attachment ${att.id}: ${e}`);
+            }
+        }
+        done += 1;
+        if (done % 50 == 0 || done == attachments.length) {
+            itemProgress.setText(`Indexed ${done} of ${attachments.length} PDF attachments.`);
+            itemProgress.setProgress(done / attachments.length * 100);
+        }
+    }
+    return groups.groups().map(ids => {
+        const parents = Zotero.Items.get(ids);
+        return { parents: parents, survivor: getSurvivor(parents), reasons: [...new Set(ids.flatMap(id => [...(reasons.get(id) || [])]))] };
+    });
+}
+
+function getLibraryPath(libraryID) {
+    const library = Zotero.Libraries.get(libraryID);
+    return library.libraryType == "group" ? `groups/${library.groupID}` : "library";
+}
+function formatGroup(group) {
+    let lines = [`<h2>${Zotero.Utilities.htmlSpecialChars(group.reasons.join(", "))}</h2>`, "<ul>"];
+    for (const parent of group.parents) {
+        const pdfs = Zotero.Items.get(parent.getAttachments()).filter(a => a.isPDFAttachment()).length;
+        const mark = parent.id === group.survivor.id ? "<b>survivor</b>: " : "";
+        lines.push(`<li>${mark}<a href="zotero://select/${getLibraryPath(parent.libraryID)}/items/${parent.key}">${Zotero.Utilities.htmlSpecialChars(parent.getField("title"))}</a> (${parent.itemType}, ${pdfs} PDFs)</li>`);
+    }
+    lines.push("</ul>");
+    return lines.join("\n");
+}
+async function saveReport(libraryID, groups) {
+    const note = new Zotero.Item("note");
+    note.libraryID = libraryID;
+    note.setNote(`<h1>${SCRIPTNAME} report, ${new Date().toLocaleString()}</h1>\n<p>${groups.length} groups of parent items share a PDF file or an identifier.</p>\n${groups.map(formatGroup).join("\n")}`);
+    await note.saveTx();
+    return note;
+}
+
+// Function to move the PDF attachments of a group under its surviving parent
+async function processMoving(group) {
+    let moved = 0;
+    let errors = 0;
+    for (const parent of group.parents) {
+        if (parent.id === group.survivor.id) continue;
+        for (const att of Zotero.Items.get(parent.getAttachments()).filter(a => a.isPDFAttachment())) {
+            try {
+                att.parentID = group.survivor.id;
+                await att.saveTx();
+                moved += 1;
+            } catch (e) {
+                error(`Failed to move attachment ${att.id} (${att.getField("title")}) from ${parent.getField("title")}: ${e}`);
+                errors += 1;
+            }
+        }
+    }
+    return { moved: moved, errors: errors };
+}
+
+// Main execution block
+(async () => {
+    if (item) {
+        // reject script calls with items=[], item=...
+        return;
+    }
+    const libraryID = items?.length > 0 ? items[0].libraryID : Zotero.getActiveZoteroPane().getSelectedLibraryID();
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    let itemProgress = new pw.ItemProgress(null, "Indexing PDF attachments.");
+    pw.show();
+    const groups = await indexLibrary(libraryID, itemProgress);
+    pw.startCloseTimer(2000);
+    if (groups.length == 0) {
+        popup("No duplicate PDFs across items found.", 3);
+        return;
+    }
+
+    const note = await saveReport(libraryID, groups);
+    await Zotero.getActiveZoteroPane().selectItem(note.id);
+    if (!Services.prompt.confirm(null, SCRIPTNAME, `${groups.length} groups of parent items share a PDF file or an identifier, see the report note.\n\nMove the PDF attachments of each group under its surviving parent now?`)) {
+        return;
+    }
+
+    let totalMoved = 0;
+    let totalErrors = 0;
+    for (const group of groups) {
+        const result = await processMoving(group);
+        totalMoved += result.moved;
+        totalErrors += result.errors;
+    }
+
+    if (totalMoved > 0 || totalErrors > 0) {
+        alert(`Successfully moved ${totalMoved} attachments. Errors: ${totalErrors}`);
+    }
+})();
\ No newline at end of file
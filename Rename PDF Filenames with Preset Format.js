@@ -4,6 +4,30 @@
  * @version 0.1
  * @requires set up the 'Customize Filename Format' in the General Settings
  * @usage Select multiple items then trigger in the context menu
+ * @description Besides PDFs, EPUBs, Office documents and datasets are renamed, and so are
+ * supplements: "<base name> - S<index> - <supplement title>", numbered in the order they were
+ * added. HTML snapshots are only renamed when enabled and saved as a single file, since
+ * Zotero loads the other files of a snapshot by relative path. Override the rules with
+ * extensions.zotero.actionScripts.rename.rules in the Advanced Config Editor, e.g.
+ * {"snapshot": true, "dataset": false, "supplements": false}.
+ * All target names are planned first and shown for confirmation (old → new).
+ * When two attachments of an item, or two files in one directory, would get the same name (ignoring
+ * case), e.g. a Preprint and a Published Version under a format without attachmentTitle, the
+ * later added one gets its attachment title appended, and a counter if that is not enough.
+ * Names are normalised for storage synced between Windows, macOS and Linux: Unicode NFC,
+ * optionally transliterated to Latin, at most 240 characters for the whole path (the title
+ * part is shortened first), without characters, device names (CON, NUL, ...) and trailing
+ * dots or spaces that Windows rejects. Adjust with
+ * extensions.zotero.actionScripts.rename.normalization in the Advanced Config Editor, e.g.
+ * {"transliterate": true, "maxPathLength": 200}; the preview shows the profile in use.
+ * Linked files can also be moved into folders below the Linked Attachment Base Directory:
+ * set extensions.zotero.actionScripts.rename.linkedFolderTemplate in the Advanced Config
+ * Editor to e.g. {collection}/{year}/{firstCreator} (also {itemType}); folders are created
+ * as needed and their names normalised like file names. Stored files are never moved.
+ * Every run is recorded in rename-journal.json in the Zotero data directory and can be
+ * reverted with the "Undo Last Rename" action.
+ * Files not yet downloaded by file sync are fetched first; broken linked files,
+ * missing files and linked URLs are skipped (see "Report Broken PDF Attachments").
  * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
  * @see https://github.com/windingwind/zotero-actions-tags/discussions/380
  * suggested Menu Label: Rename PDF Filenames with Preset Format (Multiple)
@@ -13,6 +37,39 @@
 const Zotero = require("Zotero");
 const SCRIPTNAME = "Rename PDF Filenames";
 const excludeRegEx = /supplement/i;
+const MAX_PREVIEW_LINES = 40;
+const DATA_DIRNAME = "action-scripts";
+const JOURNAL_FILENAME = "rename-journal.json";
+const MAX_JOURNAL_RUNS = 20;
+// e.g. "{collection}/{year}/{firstCreator}" below the Linked Attachment Base Directory, empty to keep linked files where they are
+const FOLDER_TEMPLATE = Zotero.Prefs.get("actionScripts.rename.linkedFolderTemplate") || "";
+// attachment content types, recognised by MIME type or file extension
+const CONTENT_TYPES = {
+    pdf: { mime: /^application\/pdf$/, ext: ["pdf"] },
+    epub: { mime: /^application\/epub\+zip$/, ext: ["epub"] },
+    snapshot: { mime: /^(text\/html|application\/xhtml\+xml)$/, ext: ["html", "htm", "xhtml"] },
+    office: { mime: /^application\/(msword|rtf|vnd\.ms-|vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.)/, ext: ["doc", "docx", "rtf", "odt", "xls", "xlsx", "ods", "ppt", "pptx", "odp"] },
+    dataset: { mime: /^(text\/csv|text\/tab-separated-values|application\/json|application\/zip|application\/x-hdf5?)$/, ext: ["csv", "tsv", "json", "zip", "h5", "hdf5", "nc", "mat", "parquet"] },
+};
+// which content types are renamed, and whether supplements are (override in extensions.zotero.actionScripts.rename.rules)
+const DEFAULT_RULES = { pdf: true, epub: true, snapshot: false, office: true, dataset: true, supplements: true };
+const rules = readRules();
+// filename normalisation for storage synced between Windows, macOS and Linux (override in extensions.zotero.actionScripts.rename.normalization):
+// Unicode NFC, transliteration to Latin, the maximum length of the whole path (0 for none), Windows-safe names
+const DEFAULT_PROFILE = { nfc: true, transliterate: false, maxPathLength: 240, windowsSafe: true };
+const profile = readProfile();
+const MIN_TITLE_LENGTH = 10; // the title is truncated first, but not below this length
+const WINDOWS_RESERVED = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+// transliteration tables for scripts without a decomposition into Latin letters and diacritics
+const TRANSLITERATION = Object.assign({},
+    ...[..."абвгдеёжзийклмнопрстуфхцчшщъыьэюя"].map((c, i) => ({ [c]: ["a", "b", "v", "g", "d", "e", "e", "zh", "z", "i", "y", "k", "l", "m", "n", "o", "p", "r", "s", "t", "u", "f", "kh", "ts", "ch", "sh", "shch", "", "y", "", "e", "yu", "ya"][i] })),
+    ...[..."αβγδεζηθικλμνξοπρσςτυφχψω"].map((c, i) => ({ [c]: ["a", "b", "g", "d", "e", "z", "i", "th", "i", "k", "l", "m", "n", "x", "o", "p", "r", "s", "s", "t", "y", "f", "ch", "ps", "o"][i] })),
+    { "ß": "ss", "æ": "ae", "ø": "o", "œ": "oe", "ł": "l", "đ": "d", "ð": "d", "þ": "th", "ı": "i" });
+const FILE_PRESENT = "present";
+const FILE_SYNCABLE = "missing, not yet downloaded by file sync";
+const FILE_BROKEN_LINK = "broken linked file";
+const FILE_REMOTE_ONLY = "remote only (linked URL)";
+const FILE_MISSING = "missing";
 
 function popup(msg, timeout = null) {
     const pw = new Zotero.ProgressWindow();
@@ -38,56 +95,347 @@ function error(msg) {
     Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
 }
 
-// Function to process renaming of each attachment
-async function processRenaming(attachment) {
-    if (!attachment.isPDFAttachment()) {
-        // Skip non-PDF attachments, e.g. webpage snapshots (implicitly skips weblinks Zotero.Attachments.LINK_MODE_LINKED_URL)
-        return { renamed: 0, errors: 0 };
+// Read the rules from extensions.zotero.actionScripts.rename.rules, null when it is not valid JSON
+function readRules() {
+    try {
+        return Object.assign({}, DEFAULT_RULES, JSON.parse(Zotero.Prefs.get("actionScripts.rename.rules") || "{}"));
+    } catch (e) {
+        error(`Invalid extensions.zotero.actionScripts.rename.rules: ${e}`);
+        return null;
     }
+}
+// Read the normalisation profile from extensions.zotero.actionScripts.rename.normalization, null when it is not valid JSON
+function readProfile() {
+    try {
+        return Object.assign({}, DEFAULT_PROFILE, JSON.parse(Zotero.Prefs.get("actionScripts.rename.normalization") || "{}"));
+    } catch (e) {
+        error(`Invalid extensions.zotero.actionScripts.rename.normalization: ${e}`);
+        return null;
+    }
+}
+function describeProfile() {
+    return [
+        profile.nfc ? "Unicode NFC" : "no Unicode normalisation",
+        profile.transliterate ? "transliterated to Latin" : "no transliteration",
+        profile.maxPathLength ? `paths up to ${profile.maxPathLength} characters` : "no path length limit",
+        profile.windowsSafe ? "Windows-safe names" : "no Windows name checks",
+    ].join(", ");
+}
+function transliterate(str) {
+    return [...str.normalize("NFD").replace(/[\u0300-\u036f]/g, "")].map(c => {
+        const lower = c.toLowerCase();
+        const latin = TRANSLITERATION[lower];
+        if (latin === undefined) return c;
+        return c === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+    }).join("").normalize("NFC");
+}
+// Apply the character rules of the profile to a part of a filename
+function normalizeText(str) {
+    if (profile.nfc) str = str.normalize("NFC");
+    if (profile.transliterate) str = transliterate(str);
+    if (profile.windowsSafe) str = str.replace(/[<>:"\/\\|?*\x00-\x1f]/g, "_");
+    return str;
+}
+// Finish a file or folder name: Windows drops trailing dots and spaces, and reserves device names even with an extension
+function finishName(name) {
+    if (profile.windowsSafe) {
+        name = name.replace(/[. ]+$/, "") || "_";
+        if (WINDOWS_RESERVED.test(name)) name = `${name}_`;
+    }
+    return name;
+}
+// Normalise a filename stem and fit it with its suffix (disambiguator) and extension into the path
+// length budget of dir, cutting the title part of the stem first. Returns the name and whether it was cut.
+function fitName(stem, suffix, extension, dir, title) {
+    stem = normalizeText(stem);
+    suffix = normalizeText(suffix);
+    let truncated = false;
+    if (profile.maxPathLength) {
+        let excess = PathUtils.join(dir, `${stem}${suffix}${extension ? "." + extension : ""}`).length - profile.maxPathLength;
+        const titleText = normalizeText(title);
+        const start = titleText.length >= MIN_TITLE_LENGTH ? stem.indexOf(titleText.slice(0, MIN_TITLE_LENGTH)) : -1;
+        if (excess > 0 && start >= 0) {
+            // the title may already be shortened by the filename format
+            let length = MIN_TITLE_LENGTH;
+            while (start + length < stem.length && stem[start + length] === titleText[length]) length++;
+            const cut = Math.min(excess, length - MIN_TITLE_LENGTH);
+            stem = stem.slice(0, start + length - cut).trimEnd() + stem.slice(start + length);
+            excess -= cut;
+            truncated = cut > 0;
+        }
+        if (excess > 0) {
+            stem = stem.slice(0, Math.max(1, stem.length - excess));
+            truncated = true;
+        }
+    }
+    const name = finishName(`${stem}${suffix}`);
+    return { name: extension ? `${name}.${extension}` : name, truncated: truncated };
+}
+function getContentType(att) {
+    const mime = att.attachmentContentType || "";
+    const ext = (att.attachmentFilename || "").split(".").pop().toLowerCase();
+    return Object.keys(CONTENT_TYPES).find(type => CONTENT_TYPES[type].mime.test(mime))
+        || Object.keys(CONTENT_TYPES).find(type => CONTENT_TYPES[type].ext.includes(ext))
+        || null;
+}
+// Snapshots load their images and styles by relative path, so only those saved as a single file are renamed
+async function isSingleFileSnapshot(att, path) {
+    if (att.attachmentLinkMode !== Zotero.Attachments.LINK_MODE_IMPORTED_URL && att.attachmentLinkMode !== Zotero.Attachments.LINK_MODE_IMPORTED_FILE) {
+        // linked HTML files share their directory with whatever they reference
+        return false;
+    }
+    const others = (await IOUtils.getChildren(PathUtils.parent(path)))
+        .filter(p => p !== path && !PathUtils.filename(p).startsWith(".zotero"));
+    return others.length == 0;
+}
+// The 1-based position of a supplement among the supplements of its parent item, in the order they were added
+function getSupplementIndex(att, parentItem) {
+    const supplements = Zotero.Items.get(parentItem.getAttachments())
+        .filter(a => a.getField("title").match(excludeRegEx))
+        .sort((a, b) => a.dateAdded < b.dateAdded ? -1 : a.dateAdded > b.dateAdded ? 1 : a.id - b.id);
+    return supplements.findIndex(a => a.id === att.id) + 1;
+}
 
-    if (attachment.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_URL) {
-        error(`Cannot rename linked URL attachment ${attachment.id}.`);
-        return { renamed: 0, errors: 1 };
+// Only attachments whose file is on this computer can be renamed
+async function getFileStatus(att) {
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_URL) {
+        return FILE_REMOTE_ONLY;
+    }
+    if (await att.fileExists()) {
+        return FILE_PRESENT;
+    }
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_FILE) {
+        return FILE_BROKEN_LINK;
+    }
+    return Zotero.Sync.Storage.Local.getEnabledForLibrary(att.libraryID) ? FILE_SYNCABLE : FILE_MISSING;
+}
+
+// The collection named in folder paths: the selected one if the item is in it, else its first by name
+function getFolderCollection(parentItem) {
+    const selected = Zotero.getActiveZoteroPane()?.getSelectedCollection();
+    if (selected && parentItem.inCollection(selected.id)) {
+        return selected.name;
+    }
+    const collections = Zotero.Collections.get(parentItem.getCollections()).map(c => c.name).sort();
+    return collections.length > 0 ? collections[0] : "Unfiled";
+}
+// The directory a linked file belongs in according to FOLDER_TEMPLATE, null if it stays where it is
+function getTemplateDir(parentItem, baseDir) {
+    const year = parentItem.getField("date", true, true).substring(0, 4);
+    const values = {
+        collection: () => getFolderCollection(parentItem),
+        year: () => year && year !== "0000" ? year : "Undated",
+        firstCreator: () => parentItem.getField("firstCreator") || "Anonymous",
+        itemType: () => Zotero.ItemTypes.getLocalizedString(parentItem.itemType),
+    };
+    const segments = FOLDER_TEMPLATE.split("/").filter(Boolean).map(segment => {
+        const filled = segment.replace(/\{(\w+)\}/g, (match, name) => values[name] ? values[name]() : match);
+        // folder names follow the same normalisation as file names
+        return finishName(normalizeText(Zotero.File.getValidFileName(filled)).trim()) || "_";
+    });
+    return PathUtils.join(baseDir, ...segments);
+}
+
+// Function to plan the renaming of each attachment, the target name is assigned later by assignNames()
+async function planRenaming(attachment, baseDir) {
+    if (!attachment.isFileAttachment()) {
+        // Skip weblinks (Zotero.Attachments.LINK_MODE_LINKED_URL) and notes
+        return { plan: null, errors: 0 };
+    }
+    const type = getContentType(attachment);
+    if (!type || !rules[type]) {
+        // Skip content types without a rename rule
+        return { plan: null, errors: 0 };
     }
 
     if (!attachment.parentItemID) {
         error(`Attachment ${attachment.id} does not have a parent item.`);
-        return { renamed: 0, errors: 1 };
+        return { plan: null, errors: 1 };
     }
 
     const parentItem = await Zotero.Items.getAsync(attachment.parentItemID);
     if (!parentItem) {
         error(`No parent item found for attachment ${attachment.id}.`);
-        return { renamed: 0, errors: 1 };
+        return { plan: null, errors: 1 };
+    }
+
+    const isSupplement = !!attachment.getField("title").match(excludeRegEx);
+    if (isSupplement && !rules.supplements) {
+        // Skip supplemental material
+        return { plan: null, errors: 0 };
+    }
+
+    let status = await getFileStatus(attachment);
+    if (status == FILE_SYNCABLE) {
+        try {
+            await Zotero.Sync.Runner.downloadFile(attachment);
+        } catch (e) {
+            warn(`Failed to download file of attachment ${attachment.id}: ${e}`);
+        }
+        status = await getFileStatus(attachment);
+    }
+    if (status !== FILE_PRESENT) {
+        // broken linked files, missing files and linked URLs have nothing to rename
+        warn(`Skipping attachment ${attachment.id} (${attachment.getField("title")}): file ${status}`);
+        return { plan: null, errors: 0, missing: 1 };
     }
 
     const currentPath = await attachment.getFilePathAsync();
     if (!currentPath) {
         error(`No local file path available for attachment ${attachment.id}.`);
-        return { renamed: 0, errors: 1 };
+        return { plan: null, errors: 1 };
     }
 
-    if (attachment.getField("title").match(excludeRegEx)) {
-        // Skip supplemental material
-        return { renamed: 0, errors: 0 };
+    if (type == "snapshot" && !(await isSingleFileSnapshot(attachment, currentPath))) {
+        warn(`Skipping snapshot ${attachment.id} (${attachment.getField("title")}): not a single-file snapshot`);
+        return { plan: null, errors: 0 };
     }
 
-    const newName = Zotero.Attachments.getFileBaseNameFromItem(parentItem, {attachmentTitle: attachment.getField("title")}); // when the preset format needs the attachmentTitle variable
-    const currentName = currentPath.split(/(\\|\/)/g).pop();
+    const label = Zotero.File.getValidFileName(attachment.getField("title")).trim();
+    let baseName;
+    if (isSupplement) {
+        // supplements are named after the parent, followed by their index and their own title
+        baseName = `${Zotero.Attachments.getFileBaseNameFromItem(parentItem, {attachmentTitle: ""})} - S${getSupplementIndex(attachment, parentItem)} - ${label}`;
+    } else {
+        baseName = Zotero.Attachments.getFileBaseNameFromItem(parentItem, {attachmentTitle: attachment.getField("title")}); // when the preset format needs the attachmentTitle variable
+    }
+    const currentName = PathUtils.filename(currentPath);
     const extension = currentName.includes('.') ? currentName.split('.').pop() : '';
-    const finalName = extension ? `${newName}.${extension}` : newName;
+    // only linked files are moved, stored files stay in their storage directory
+    const targetDir = baseDir && attachment.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_FILE
+        ? getTemplateDir(parentItem, baseDir) : PathUtils.parent(currentPath);
+    return {
+        plan: {
+            att: attachment,
+            parentItem: parentItem,
+            currentDir: PathUtils.parent(currentPath),
+            dir: targetDir.toLowerCase() == PathUtils.parent(currentPath).toLowerCase() ? PathUtils.parent(currentPath) : targetDir,
+            currentName: currentName,
+            baseName: baseName,
+            extension: extension,
+            // the version label, e.g. "Preprint (arXiv v2)", tells colliding attachments apart
+            label: label,
+        },
+        errors: 0,
+    };
+}
 
-    if (newName !== currentName) {
-        try {
-            await attachment.renameAttachmentFile(finalName);
-            return { renamed: 1, errors: 0 };
-        } catch (e) {
-            error(`Error renaming attachment ${attachment.id}: ${e}`);
+// Assign every plan a target name that is unique, ignoring case, among the attachments of its
+// parent item and the files of its directory: the plain name first, then with the version label,
+// then with a counter. Earlier added attachments get the plainer names.
+async function assignNames(plans) {
+    let dirNames = new Map();
+    let parentNames = new Map();
+    for (const plan of [...plans].sort((a, b) => a.att.dateAdded < b.att.dateAdded ? -1 : a.att.dateAdded > b.att.dateAdded ? 1 : a.att.id - b.att.id)) {
+        const dirKey = plan.dir.toLowerCase();
+        if (!dirNames.has(dirKey)) {
+            // a target directory that does not exist yet has no files
+            const children = await IOUtils.exists(plan.dir) ? await IOUtils.getChildren(plan.dir) : [];
+            dirNames.set(dirKey, new Set(children.map(p => PathUtils.filename(p).toLowerCase())));
+        }
+        // current names of other files stay taken even if they are renamed away in this run
+        const taken = dirNames.get(dirKey);
+        const siblings = parentNames.get(plan.parentItem.id) || new Set();
+        parentNames.set(plan.parentItem.id, siblings);
+        const title = plan.parentItem.getField("title");
+        const withExtension = (stem, suffix = "") => fitName(stem, suffix, plan.extension, plan.dir, title).name;
+        const stays = plan.dir == plan.currentDir;
+        const isFree = name => !siblings.has(name.toLowerCase())
+            && ((stays && name.toLowerCase() == plan.currentName.toLowerCase()) || !taken.has(name.toLowerCase()));
+
+        // disambiguators are suffixes, so truncation keeps them
+        let candidates = [""];
+        const label = plan.label && !plan.baseName.includes(plan.label) ? ` (${plan.label})` : "";
+        if (label) candidates.push(label);
+        let finalName = candidates.map(suffix => withExtension(plan.baseName, suffix)).find(isFree);
+        for (let n = 2; !finalName; n++) {
+            if (isFree(withExtension(plan.baseName, `${label} ${n}`))) finalName = withExtension(plan.baseName, `${label} ${n}`);
+        }
+        plan.finalName = finalName;
+        plan.disambiguated = finalName !== withExtension(plan.baseName);
+        plan.truncated = fitName(plan.baseName, "", plan.extension, plan.dir, title).truncated;
+        plan.normalized = !plan.truncated && fitName(plan.baseName, "", plan.extension, plan.dir, title).name !== (plan.extension ? `${plan.baseName}.${plan.extension}` : plan.baseName);
+        siblings.add(finalName.toLowerCase());
+        taken.add(finalName.toLowerCase());
+    }
+}
+
+function isChanged(plan) {
+    return plan.finalName !== plan.currentName || plan.dir !== plan.currentDir;
+}
+function formatPreview(changes, baseDir) {
+    const target = p => p.dir == p.currentDir ? p.finalName : PathUtils.join(p.dir, p.finalName).slice(baseDir.length).replace(/^[\\\/]/, "");
+    let lines = changes.slice(0, MAX_PREVIEW_LINES)
+        .map(p => `${p.currentName}  →  ${target(p)}${p.disambiguated ? "  (name collision)" : ""}${p.truncated ? "  (shortened)" : p.normalized ? "  (normalised)" : ""}`);
+    if (changes.length > MAX_PREVIEW_LINES) {
+        lines.push(`... and ${changes.length - MAX_PREVIEW_LINES} more`);
+    }
+    return lines.join("\n");
+}
+
+// Move a linked file into its template directory under its final name and relink the attachment
+async function processMoving(plan) {
+    const source = PathUtils.join(plan.currentDir, plan.currentName);
+    const destination = PathUtils.join(plan.dir, plan.finalName);
+    try {
+        await IOUtils.makeDirectory(plan.dir, { createAncestors: true, ignoreExisting: true });
+        if (await IOUtils.exists(destination)) {
+            // appeared since the planning pass
+            error(`Not moving attachment ${plan.att.id}: ${destination} exists`);
             return { renamed: 0, errors: 1 };
         }
+        await IOUtils.move(source, destination, { noOverwrite: true });
+    } catch (e) {
+        error(`Error moving attachment ${plan.att.id} to ${destination}: ${e}`);
+        return { renamed: 0, errors: 1 };
     }
+    try {
+        await plan.att.relinkAttachmentFile(destination);
+        return { renamed: 1, errors: 0 };
+    } catch (e) {
+        error(`Error relinking attachment ${plan.att.id} to ${destination}, moving the file back: ${e}`);
+        await IOUtils.move(destination, source, { noOverwrite: true });
+        return { renamed: 0, errors: 1 };
+    }
+}
 
-    return { renamed: 0, errors: 0 };
+// Function to process renaming of each planned attachment
+async function processRenaming(plan) {
+    const result = plan.dir !== plan.currentDir ? await processMoving(plan) : await processRenamingInPlace(plan);
+    if (result.renamed) {
+        // size and modification time tell "Undo Last Rename" whether the file changed since
+        const newPath = await plan.att.getFilePathAsync();
+        const info = await IOUtils.stat(newPath);
+        result.entry = { libraryID: plan.att.libraryID, key: plan.att.key, oldPath: PathUtils.join(plan.currentDir, plan.currentName), newPath: newPath, size: info.size, lastModified: info.lastModified };
+    }
+    return result;
+}
+async function processRenamingInPlace(plan) {
+    try {
+        const result = await plan.att.renameAttachmentFile(plan.finalName);
+        if (result !== true) {
+            // -1: a file of that name exists, -2: renaming failed
+            error(`Error renaming attachment ${plan.att.id} from ${plan.currentName} to ${plan.finalName}: ${result == -1 ? "file exists" : "rename failed"}`);
+            return { renamed: 0, errors: 1 };
+        }
+        return { renamed: 1, errors: 0 };
+    } catch (e) {
+        error(`Error renaming attachment ${plan.att.id}: ${e}`);
+        return { renamed: 0, errors: 1 };
+    }
+}
+async function readJournal() {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, JOURNAL_FILENAME);
+    if (!(await IOUtils.exists(path))) {
+        return [];
+    }
+    return JSON.parse(await Zotero.File.getContentsAsync(path));
+}
+async function writeJournal(run) {
+    const dir = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME);
+    await Zotero.File.createDirectoryIfMissingAsync(dir);
+    const runs = (await readJournal()).concat([run]).slice(-MAX_JOURNAL_RUNS);
+    await Zotero.File.putContentsAsync(PathUtils.join(dir, JOURNAL_FILENAME), JSON.stringify(runs, null, 2));
 }
 function prepareAttachmentItemsList() {
     if (!items && !item) {
@@ -122,16 +470,58 @@ function prepareAttachmentItemsList() {
     if (!attachments) {
         return;
     }
+    if (!rules || !profile) {
+        alert(`extensions.zotero.actionScripts.rename.${rules ? "normalization" : "rules"} is not valid JSON, nothing renamed.`);
+        return;
+    }
     let totalRenamed = 0;
     let totalErrors = 0;
+    let totalMissing = 0;
+    let baseDir = null;
+    if (FOLDER_TEMPLATE) {
+        baseDir = Zotero.Prefs.get("baseAttachmentPath");
+        if (!baseDir || !(await IOUtils.exists(baseDir))) {
+            if (!Services.prompt.confirm(null, SCRIPTNAME, `The Linked Attachment Base Directory is not reachable: ${baseDir || "(not set)"}\n\nRename the files without moving linked files into folders?`)) {
+                return;
+            }
+            baseDir = null;
+        }
+    }
+    let plans = [];
     for (const attachment of attachments) {
-        const result = await processRenaming(attachment);
-        totalRenamed += result.renamed;
+        const result = await planRenaming(attachment, baseDir);
+        if (result.plan) plans.push(result.plan);
         totalErrors += result.errors;
+        totalMissing += result.missing || 0;
+    }
+    await assignNames(plans);
+
+    // files that already have their target name are left alone
+    const changes = plans.filter(isChanged);
+    if (changes.length > 0) {
+        if (!Services.prompt.confirm(null, SCRIPTNAME, `Rename ${changes.length} files (${plans.length - changes.length} already named correctly)?\nFilenames: ${describeProfile()}.\n\n${formatPreview(changes, baseDir || "")}`)) {
+            return;
+        }
+        let run = {
+            runId: Zotero.DataObjectUtils.generateKey(),
+            timestamp: new Date().toISOString(),
+            format: Zotero.Prefs.get("attachmentRenameTemplate"),
+            folderTemplate: baseDir ? FOLDER_TEMPLATE : "",
+            entries: [],
+        };
+        for (const plan of changes) {
+            const result = await processRenaming(plan);
+            totalRenamed += result.renamed;
+            totalErrors += result.errors;
+            if (result.entry) run.entries.push(result.entry);
+        }
+        if (run.entries.length > 0) {
+            await writeJournal(run);
+        }
     }
 
     // Display a summary alert only if there are significant outcomes to report
-    if (totalRenamed > 0 || totalErrors > 0) {
-        alert(`Successfully renamed ${totalRenamed} PDF filenames. Errors: ${totalErrors}`);
+    if (totalRenamed > 0 || totalErrors > 0 || totalMissing > 0) {
+        alert(`Successfully renamed ${totalRenamed} attachment files. Skipped without local file: ${totalMissing}. Errors: ${totalErrors}`);
     }
 })();
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * @file Report Broken PDF Attachments
+ * @author cerenkov
+ * @version 0.1
+ * @usage Select multiple items then trigger in the context menu
+ * @description Classifies the file of every selected PDF attachment as present, missing but
+ * downloadable by file sync, broken linked file, missing, or remote only (linked URL), and
+ * writes the attachments without a local file to a standalone report note. Broken linked
+ * files can then be relinked by searching for a file of the same name below a base
+ * directory: extensions.zotero.actionScripts.relinkBaseDir in the Advanced Config Editor,
+ * or the Linked Attachment Base Directory when that is not set. Only unambiguous matches
+ * are relinked.
+ * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
+ * suggested Menu Label: Report Broken PDF Attachments (Multiple)
+ */
+
+const Zotero = require("Zotero");
+const SCRIPTNAME = "Report Broken PDFs";
+const FILE_PRESENT = "present";
+const FILE_SYNCABLE = "missing, not yet downloaded by file sync";
+const FILE_BROKEN_LINK = "broken linked file";
+const FILE_REMOTE_ONLY = "remote only (linked URL)";
+const FILE_MISSING = "missing";
+
+function popup(msg, timeout = null) {
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    pw.addDescription(msg);
+    pw.show();
+    if (timeout) pw.startCloseTimer(timeout * 1000);
+}
+function log(msg) {
+    if (typeof msg == "object") {
+        Zotero.log(JSON.stringify(msg), "info");
+    } else {
+        Zotero.log(msg, "info");
+    }
+}
+function alert(msg) {
+    Zotero.alert(null, SCRIPTNAME, `[${SCRIPTNAME}] ${msg}`);
+}
+function warn(msg) {
+    Zotero.warn(`[${SCRIPTNAME}] ${msg}`);
+}
+function error(msg) {
+    Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
+}
+
+async function getFileStatus(att) {
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_URL) {
+        return FILE_REMOTE_ONLY;
+    }
+    if (await att.fileExists()) {
+        return FILE_PRESENT;
+    }
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_FILE) {
+        return FILE_BROKEN_LINK;
+    }
+    return Zotero.Sync.Storage.Local.getEnabledForLibrary(att.libraryID) ? FILE_SYNCABLE : FILE_MISSING;
+}
+
+// Collect the paths of all files below dir whose lower-cased name is wanted; unreadable folders are logged and left out
+async function findFiles(dir, wanted, found = new Map()) {
+    let children;
+    try {
+        children = await IOUtils.getChildren(dir);
+    } catch (e) {
+        error(`Cannot list ${dir}: ${e}`);
+        return found;
+    }
+    for (const path of children) {
+        let info;
+        try {
+            info = await IOUtils.stat(path);
+        } catch (e) {
+            // removed during the scan
+            error(`Cannot read ${path}: ${e}`);
+            continue;
+        }
+        if (info.type == "directory") {
+            await findFiles(path, wanted, found);
+        } else {
+            const name = PathUtils.filename(path).toLowerCase();
+            if (wanted.has(name)) {
+                found.set(name, (found.get(name) || []).concat([path]));
+            }
+        }
+    }
+    return found;
+}
+
+function formatReport(broken) {
+    let lines = [];
+    for (const status of [FILE_BROKEN_LINK, FILE_MISSING, FILE_SYNCABLE, FILE_REMOTE_ONLY]) {
+        const atts = broken.filter(b => b.status == status).map(b => b.att);
+        if (atts.length == 0) continue;
+        lines.push(`<h2>${Zotero.Utilities.htmlSpecialChars(status)} (${atts.length})</h2>`, "<ul>");
+        for (const att of atts) {
+            const parentTitle = att.parentItem ? att.parentItem.getField("title") : "(no parent item)";
+            lines.push(`<li>${Zotero.Utilities.htmlSpecialChars(parentTitle)}: ${Zotero.Utilities.htmlSpecialChars(att.getField("title"))} [${att.key}] ${Zotero.Utilities.htmlSpecialChars(att.attachmentPath || att.getField("url"))}</li>`);
+        }
+        lines.push("</ul>");
+    }
+    return lines.join("\n");
+}
+async function saveReport(libraryID, broken) {
+    const note = new Zotero.Item("note");
+    note.libraryID = libraryID;
+    note.setNote(`<h1>${SCRIPTNAME} report, ${new Date().toLocaleString()}</h1>\n${formatReport(broken)}`);
+    await note.saveTx();
+}
+
+// Function to relink each broken linked file to the only file of the same name below baseDir
+async function processRelinking(atts, baseDir) {
+    let relinked = 0;
+    let errors = 0;
+    const wanted = new Set(atts.map(a => a.attachmentFilename.toLowerCase()));
+    const found = await findFiles(baseDir, wanted);
+    for (const att of atts) {
+        const paths = found.get(att.attachmentFilename.toLowerCase()) || [];
+        if (paths.length !== 1) {
+            warn(`${paths.length} candidates for ${att.attachmentFilename} (attachment ${att.id}), not relinked`);
+            continue;
+        }
+        try {
+            await att.relinkAttachmentFile(paths[0]);
+            relinked += 1;
+        } catch (e) {
+            error(`Failed to relink attachment ${att.id} to ${paths[0]}: ${e}`);
+            errors += 1;
+        }
+    }
+    return { relinked: relinked, errors: errors };
+}
+function prepareAttachmentItemsList() {
+    if (!items && !item) {
+        alert("No item or items array provided.");
+        return false;
+    }
+    if (item) {
+        // reject script calls with items=[], item=...
+        return false;
+    }
+    if (items?.length > 0) {
+        // accept script calls with items=[...], item=undefined
+        let attachments = [];
+        for (const item of items) {
+            if (item.itemType === 'attachment') {
+                if (!attachments.includes(item)) attachments.push(item);
+            } else {
+                for (const it of Zotero.Items.get(item.getAttachments())) {
+                    if (!attachments.includes(it)) attachments.push(it);
+                }
+            }
+        }
+        return attachments;
+    } else {
+        return false;
+    }
+}
+
+// Main execution block
+(async () => {
+    let attachments = prepareAttachmentItemsList();
+    if (!attachments) {
+        return;
+    }
+    let broken = [];
+    for (const att of attachments.filter(a => a.isPDFAttachment())) {
+        const status = await getFileStatus(att);
+        if (status !== FILE_PRESENT) broken.push({ att: att, status: status });
+    }
+    if (broken.length == 0) {
+        popup("All selected PDF attachments have a local file.", 3);
+        return;
+    }
+    await saveReport(attachments[0].libraryID, broken);
+
+    const brokenLinks = broken.filter(b => b.status == FILE_BROKEN_LINK).map(b => b.att);
+    if (brokenLinks.length == 0) {
+        alert(`${broken.length} PDF attachments without a local file, see the report note.`);
+        return;
+    }
+    const baseDir = Zotero.Prefs.get("actionScripts.relinkBaseDir") || Zotero.Prefs.get("baseAttachmentPath");
+    if (!baseDir || !(await IOUtils.exists(baseDir))) {
+        alert(`${broken.length} PDF attachments without a local file, see the report note. No reachable base directory to relink ${brokenLinks.length} broken linked files from: ${baseDir || "(not set)"}`);
+        return;
+    }
+    if (!Services.prompt.confirm(null, SCRIPTNAME, `${broken.length} PDF attachments without a local file, see the report note.\n\nSearch ${baseDir} to relink ${brokenLinks.length} broken linked files?`)) {
+        return;
+    }
+    const result = await processRelinking(brokenLinks, baseDir);
+    alert(`Successfully relinked ${result.relinked} of ${brokenLinks.length} broken linked files. Errors: ${result.errors}`);
+})();
\ No newline at end of file
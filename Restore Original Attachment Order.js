@@ -0,0 +1,121 @@
+/**
+ * @file Restore Original Attachment Order
+ * @author cerenkov
+ * @version 0.1
+ * @usage Select multiple items then trigger in the context menu
+ * @description Puts back the original dateAdded of the attachments of the selected items that
+ * were reordered by "Set This as Default PDF" or "Set Published Version as Default PDF", and
+ * with it the original attachment order. The original values are read from
+ * original-dates-added.json in the Zotero data directory, so only changes made on this
+ * computer can be restored; attachments reordered before these actions recorded the original
+ * values keep their current dateAdded.
+ * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
+ * suggested Menu Label: Restore Original Attachment Order (Multiple)
+ */
+
+const Zotero = require("Zotero");
+const SCRIPTNAME = "Restore Attachment Order";
+const DATA_DIRNAME = "action-scripts";
+const DATES_FILENAME = "original-dates-added.json";
+
+function popup(msg, timeout = null) {
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    pw.addDescription(msg);
+    pw.show();
+    if (timeout) pw.startCloseTimer(timeout * 1000);
+}
+function log(msg) {
+    if (typeof msg == "object") {
+        Zotero.log(JSON.stringify(msg), "info");
+    } else {
+        Zotero.log(msg, "info");
+    }
+}
+function alert(msg) {
+    Zotero.alert(null, SCRIPTNAME, `[${SCRIPTNAME}] ${msg}`);
+}
+function warn(msg) {
+    Zotero.warn(`[${SCRIPTNAME}] ${msg}`);
+}
+function error(msg) {
+    Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
+}
+
+async function readOriginalDates() {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, DATES_FILENAME);
+    if (!(await IOUtils.exists(path))) {
+        return {};
+    }
+    return JSON.parse(await Zotero.File.getContentsAsync(path));
+}
+async function writeOriginalDates(dates) {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, DATES_FILENAME);
+    await Zotero.File.putContentsAsync(path, JSON.stringify(dates, null, 2));
+}
+
+// Function to restore the original dateAdded of the attachments of each item, restored entries are removed from dates
+async function processRestoring(item, dates) {
+    let restored = 0;
+    let errors = 0;
+    for (const att of Zotero.Items.get(item.getAttachments())) {
+        const key = `${att.libraryID}/${att.key}`;
+        if (!(key in dates)) {
+            continue;
+        }
+        try {
+            if (att.dateAdded !== dates[key]) {
+                att.setField('dateAdded', dates[key]);
+                await att.saveTx({ skipDateModifiedUpdate: true });
+            }
+            delete dates[key];
+            restored += 1;
+        } catch (e) {
+            error(`Failed to restore dateAdded of attachment ${att.id} (${att.getField("title")}): ${e}`);
+            errors += 1;
+        }
+    }
+    return { restored: restored, errors: errors };
+}
+function prepareTopLevelItemsList() {
+    if (!items && !item) {
+        alert("No item or items array provided.");
+        return false;
+    }
+    if (item) {
+        // reject script calls with items=[], item=...
+        return false;
+    }
+    if (items?.length > 0) {
+        // accept script calls with items=[...], item=undefined
+        return Zotero.Items.getTopLevel(items);
+    } else {
+        return false;
+    }
+}
+
+// Main execution block
+(async () => {
+    let targetItems = prepareTopLevelItemsList();
+    if (!targetItems) {
+        return;
+    }
+    let dates = await readOriginalDates();
+    let totalRestored = 0;
+    let totalErrors = 0;
+    for (const item of targetItems) {
+        const result = await processRestoring(item, dates);
+        totalRestored += result.restored;
+        totalErrors += result.errors;
+    }
+    if (totalRestored > 0) {
+        await writeOriginalDates(dates);
+    }
+
+    // Display a summary alert only if there are significant outcomes to report
+    if (totalRestored > 0 || totalErrors > 0) {
+        alert(`Successfully restored the original dateAdded of ${totalRestored} attachments. Errors: ${totalErrors}`);
+    } else {
+        popup("No recorded original dateAdded for the attachments of the selected items.", 3);
+    }
+})();
@@ -3,6 +3,16 @@
  * @author cerenkov
  * @version 0.1
  * @usage Select multiple items then trigger in the context menu
+ * @description Reorders all PDF attachments of each item by version, so that the best copy
+ * opens by default and the attachment list reads top-down by quality: Published Version from
+ * the publisher, Published Version via Sci-Hub, Accepted Version, Preprint (latest arXiv
+ * version first), Unknown, and supplements always last. The version is read from the
+ * attachment titles, see "Store Version Info in PDF Attachment Titles". The order is set
+ * through the dateAdded of the attachments, one second apart.
+ * The original dateAdded of every changed attachment is kept in original-dates-added.json in
+ * the Zotero data directory, and put back by "Restore Original Attachment Order".
+ * The ranking code (getRank, getArXivVersion, compareAttachments) is copied into "Audit
+ * Default Attachments" and must be kept in sync with it.
  * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
  * suggested Menu Label: Set Published Version as Default PDF (Multiple)
  * @todo add progress bar
@@ -10,6 +20,17 @@
 
 const Zotero = require("Zotero");
 const SCRIPTNAME = "Set Default PDF";
+const excludeRegEx = /supplement/i;
+const DATA_DIRNAME = "action-scripts";
+// original dateAdded of the attachments reordered by "Set ... as Default PDF", by "<libraryID>/<key>"
+const DATES_FILENAME = "original-dates-added.json";
+// Published from publisher > Published via Sci-Hub > Accepted > Preprint (latest version first) > Unknown > supplements
+const RANK_PUBLISHER = 0;
+const RANK_SCIHUB = 1;
+const RANK_ACCEPTED = 2;
+const RANK_PREPRINT = 3;
+const RANK_UNKNOWN = 4;
+const RANK_SUPPLEMENT = 5;
 
 function popup(msg, timeout = null) {
     const pw = new Zotero.ProgressWindow();
@@ -35,6 +56,27 @@ function error(msg) {
     Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
 }
 
+async function readOriginalDates() {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, DATES_FILENAME);
+    if (!(await IOUtils.exists(path))) {
+        return {};
+    }
+    return JSON.parse(await Zotero.File.getContentsAsync(path));
+}
+// Remember the dateAdded of attachments before it is first changed, see "Restore Original Attachment Order"
+async function saveOriginalDates(attachments) {
+    let dates = await readOriginalDates();
+    const unsaved = attachments.filter(a => !(`${a.libraryID}/${a.key}` in dates));
+    if (unsaved.length == 0) {
+        return;
+    }
+    for (const att of unsaved) {
+        dates[`${att.libraryID}/${att.key}`] = att.dateAdded;
+    }
+    const dir = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME);
+    await Zotero.File.createDirectoryIfMissingAsync(dir);
+    await Zotero.File.putContentsAsync(PathUtils.join(dir, DATES_FILENAME), JSON.stringify(dates, null, 2));
+}
 function getEarliestDate(attachments) {
     let earliestDate = new Date();
     for (const att of attachments) {
@@ -45,24 +87,63 @@ function getEarliestDate(attachments) {
     }
     return earliestDate;
 }
-async function processItem(item) {
-    if ((await item.getBestAttachment()).getField("title").match(/published/i)) {
-        return;
+// getRank, getArXivVersion and compareAttachments are copied into "Audit Default Attachments", keep both in sync
+// Rank of a PDF attachment by the version info in its title (see "Store Version Info in PDF Attachment Titles"), lower comes first
+function getRank(att) {
+    const title = att.getField("title");
+    if (title.match(excludeRegEx)) {
+        return RANK_SUPPLEMENT;
+    } else if (title.match(/published/i)) {
+        return title.match(/sci-hub/i) || att.getField("url").match(/sci-hub/i) ? RANK_SCIHUB : RANK_PUBLISHER;
+    } else if (title.match(/accepted/i)) {
+        return RANK_ACCEPTED;
+    } else if (title.match(/submitted|preprint/i)) {
+        return RANK_PREPRINT;
     }
+    return RANK_UNKNOWN;
+}
+// The arXiv version of a preprint from its "Preprint (arXiv vN)" title or URL, 0 when unknown
+function getArXivVersion(att) {
+    const match = /\(arXiv v(\d+)\)/.exec(att.getField("title")) || /\/(?:abs|pdf)\/[^?#]*?v(\d+)(?:\.pdf)?(?:[?#]|$)/i.exec(att.getField("url"));
+    return match ? parseInt(match[1]) : 0;
+}
+function compareAttachments(a, b) {
+    return getRank(a) - getRank(b)
+        || (getRank(a) == RANK_PREPRINT ? getArXivVersion(b) - getArXivVersion(a) : 0)
+        // otherwise keep the current order
+        || (a.dateAdded < b.dateAdded ? -1 : a.dateAdded > b.dateAdded ? 1 : a.id - b.id);
+}
 
+// Function to reorder the PDF attachments of each item by rank, through consecutive dateAdded values
+async function processItem(item) {
     let attachments = Zotero.Items.get(item.getAttachments());
     attachments = attachments.filter(a => a.attachmentContentType == 'application/pdf');
-    let published = attachments.filter(a => a.getField("title").match(/published/i));
-    if (published.length == 0) {
-        return;
+    if (attachments.length < 2) {
+        return { reordered: 0, errors: 0 };
     }
 
-    let earliestDate = getEarliestDate(attachments);
-    earliestDate.setSeconds(earliestDate.getSeconds() - 1);
+    const current = [...attachments].sort((a, b) => a.dateAdded < b.dateAdded ? -1 : a.dateAdded > b.dateAdded ? 1 : a.id - b.id);
+    const ranked = [...attachments].sort(compareAttachments);
+    const distinct = current.every((a, i) => i == 0 || a.dateAdded !== current[i - 1].dateAdded);
+    if (distinct && ranked.every((a, i) => a.id === current[i].id)) {
+        return { reordered: 0, errors: 0 };
+    }
 
-    const dateString = earliestDate.toISOString().slice(0,19).replace('T', ' ');
-    published[0].setField('dateAdded', dateString);
-    await published[0].saveTx({ skipDateModifiedUpdate: true });
+    // one second apart, the last one second before the earliest attachment
+    let date = getEarliestDate(attachments);
+    date.setSeconds(date.getSeconds() - ranked.length);
+    try {
+        await saveOriginalDates(ranked);
+        for (const att of ranked) {
+            att.setField('dateAdded', date.toISOString().slice(0,19).replace('T', ' '));
+            await att.saveTx({ skipDateModifiedUpdate: true });
+            date.setSeconds(date.getSeconds() + 1);
+        }
+    } catch (e) {
+        error(`Failed to reorder the attachments of ${item.getField("title")}: ${e}`);
+        return { reordered: 0, errors: 1 };
+    }
+    return { reordered: 1, errors: 0 };
 }
 function prepareTopLevelItemsList() {
     if (!items && !item) {
@@ -88,7 +169,18 @@ function prepareTopLevelItemsList() {
         return;
     }
 
+    let totalReordered = 0;
+    let totalErrors = 0;
     for (const item of targetItems) {
-        await processItem(item);
+        const result = await processItem(item);
+        totalReordered += result.reordered;
+        totalErrors += result.errors;
+    }
+
+    // Display a summary alert only if there are significant outcomes to report
+    if (totalErrors > 0) {
+        alert(`Successfully reordered the PDF attachments of ${totalReordered} items. Errors: ${totalErrors}`);
+    } else if (totalReordered > 0) {
+        popup(`Reordered the PDF attachments of ${totalReordered} items.`, 3);
     }
 })();
\ No newline at end of file
@@ -2,13 +2,23 @@
  * @file Set This as Default PDF
  * @author cerenkov
  * @version 0.1
- * @usage Select one single PDF item then trigger in the context menu
+ * @usage Select one or more attachments (of different items) then trigger in the context menu
+ * @description Moves each selected attachment to the top of its item's attachments by setting
+ * its dateAdded to one second before the earliest attachment. Besides PDFs this works for
+ * EPUBs, snapshots and other files, but Zotero opens a PDF before them when the item has one.
+ * Items with more than one selected attachment are left unchanged and reported, and so are
+ * selected items that are no file attachments (parent items, notes, links).
+ * The original dateAdded of every changed attachment is kept in original-dates-added.json in
+ * the Zotero data directory, and put back by "Restore Original Attachment Order".
  * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
- * suggested Menu Label: Set This as Default PDF
+ * suggested Menu Label: Set This as Default PDF (Multiple)
  */
 
 const Zotero = require("Zotero");
 const SCRIPTNAME = "Set Default PDF";
+const DATA_DIRNAME = "action-scripts";
+// original dateAdded of the attachments reordered by "Set ... as Default PDF", by "<libraryID>/<key>"
+const DATES_FILENAME = "original-dates-added.json";
 
 function popup(msg, timeout = null) {
     const pw = new Zotero.ProgressWindow();
@@ -34,6 +44,27 @@ function error(msg) {
     Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
 }
 
+async function readOriginalDates() {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, DATES_FILENAME);
+    if (!(await IOUtils.exists(path))) {
+        return {};
+    }
+    return JSON.parse(await Zotero.File.getContentsAsync(path));
+}
+// Remember the dateAdded of attachments before it is first changed, see "Restore Original Attachment Order"
+async function saveOriginalDates(attachments) {
+    let dates = await readOriginalDates();
+    const unsaved = attachments.filter(a => !(`${a.libraryID}/${a.key}` in dates));
+    if (unsaved.length == 0) {
+        return;
+    }
+    for (const att of unsaved) {
+        dates[`${att.libraryID}/${att.key}`] = att.dateAdded;
+    }
+    const dir = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME);
+    await Zotero.File.createDirectoryIfMissingAsync(dir);
+    await Zotero.File.putContentsAsync(PathUtils.join(dir, DATES_FILENAME), JSON.stringify(dates, null, 2));
+}
 function getEarliestDate(attachments) {
     let earliestDate = new Date();
     for (const att of attachments) {
@@ -44,31 +75,99 @@ function getEarliestDate(attachments) {
     }
     return earliestDate;
 }
-async function setDefault(item) {
-    let attachments = Zotero.Items.get(item.parentItem.getAttachments());
-    attachments = attachments.filter(a => a.attachmentContentType == 'application/pdf');
+// Function to make each selected attachment the first of its parent's attachments
+async function setDefault(att) {
+    const attachments = Zotero.Items.get(att.parentItem.getAttachments()).filter(a => a.isFileAttachment());
+    const others = attachments.filter(a => a.id !== att.id);
+    if (others.every(a => a.dateAdded > att.dateAdded)) {
+        // already the first one
+        return { set: 0, errors: 0 };
+    }
 
     let earliestDate = getEarliestDate(attachments);
     earliestDate.setSeconds(earliestDate.getSeconds() - 1);
 
     const dateString = earliestDate.toISOString().slice(0,19).replace('T', ' ');
-    item.setField('dateAdded', dateString);
-    await item.saveTx({ skipDateModifiedUpdate: true });
+    try {
+        await saveOriginalDates([att]);
+        att.setField('dateAdded', dateString);
+        await att.saveTx({ skipDateModifiedUpdate: true });
+    } catch (e) {
+        error(`Failed to set attachment ${att.id} (${att.getField("title")}) as default: ${e}`);
+        return { set: 0, errors: 1 };
+    }
+    return { set: 1, errors: 0 };
+}
+function prepareAttachmentItemsList() {
+    if (!items && !item) {
+        alert("No item or items array provided.");
+        return false;
+    }
+    if (item) {
+        // reject script calls with items=[], item=...
+        return false;
+    }
+    if (items?.length > 0) {
+        // accept script calls with items=[...], item=undefined
+        return items.filter(i => i.isFileAttachment());
+    } else {
+        return false;
+    }
 }
 
 // Main execution block
 (async () => {
-    if (!items && !item) {
-        alert("No item or items array provided.");
+    let attachments = prepareAttachmentItemsList();
+    if (!attachments) {
         return;
     }
-    if (!item) {
-        // reject script calls with items=[...], item=undefined
-        return;
+    // parent items, notes and links have no file to open first
+    const notAttachments = items.length - attachments.length;
+    let byParent = new Map();
+    let standalone = 0;
+    for (const att of attachments) {
+        if (!att.parentItemID) {
+            standalone += 1;
+            continue;
+        }
+        byParent.set(att.parentItemID, (byParent.get(att.parentItemID) || []).concat([att]));
     }
-    if (!item.isPDFAttachment()) {
-        return;
+
+    let totalSet = 0;
+    let totalErrors = 0;
+    let conflicts = [];
+    let pdfFirst = [];
+    for (const selected of byParent.values()) {
+        const parentTitle = selected[0].parentItem.getField("title");
+        if (selected.length > 1) {
+            // only one attachment of an item can be the default
+            conflicts.push(`${parentTitle}: ${selected.map(a => a.getField("title")).join(", ")}`);
+            continue;
+        }
+        const att = selected[0];
+        const result = await setDefault(att);
+        totalSet += result.set;
+        totalErrors += result.errors;
+        if (!att.isPDFAttachment() && Zotero.Items.get(att.parentItem.getAttachments()).some(a => a.isPDFAttachment())) {
+            pdfFirst.push(parentTitle);
+        }
     }
 
-    await setDefault(item);
-})();
\ No newline at end of file
+    let lines = [];
+    if (conflicts.length > 0) {
+        lines.push(`Not changed, several attachments of the same item selected:\n${conflicts.join("\n")}`);
+    }
+    if (pdfFirst.length > 0) {
+        lines.push(`Listed first, but Zotero still opens a PDF of these items first:\n${pdfFirst.join("\n")}`);
+    }
+    if (standalone > 0) {
+        lines.push(`Skipped ${standalone} standalone attachments.`);
+    }
+    if (notAttachments > 0) {
+        lines.push(`Skipped ${notAttachments} selected items that are no file attachments, select the attachment to set as default instead.`);
+    }
+    // Display a summary alert only if there are significant outcomes to report
+    if (totalErrors > 0 || lines.length > 0) {
+        alert(`Successfully set ${totalSet} attachments as default. Errors: ${totalErrors}${lines.length ? "\n\n" + lines.join("\n\n") : ""}`);
+    }
+})();
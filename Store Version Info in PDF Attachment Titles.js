@@ -3,6 +3,18 @@
  * @author cerenkov
  * @version 0.1
  * @usage Select multiple items then trigger in the context menu
+ * @description The version of a PDF attachment is deduced from its title and from the host of
+ * its URL, looked up in a host registry (publishers, preprint servers, repositories, Sci-Hub)
+ * that gives the name shown in the title, e.g. "Published Version (IOP)", and the version the
+ * host serves. Add or override hosts with a JSON array in
+ * extensions.zotero.actionScripts.versionInfo.hosts in the Advanced Config Editor, e.g.
+ * [{"hosts": ["repository.example.edu"], "name": "Example Univ.", "version": "accepted",
+ *   "rules": [{"path": "/preprints/", "version": "preprint"}]}];
+ * see BUILTIN_HOSTS for the format. Hosts with version null (e.g. PMC, Zenodo) and unknown
+ * hosts are resolved through the Zotero OA lookup by DOI.
+ * The version is read from the title, URL and DOI only, so PDFs without a local file are titled
+ * as well: files not yet downloaded by file sync quietly, broken linked files, missing files
+ * and linked URLs are counted in the summary, see "Report Broken PDF Attachments".
  * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
  * suggested Menu Label: Store Version Info in PDF Attachment Titles (Multiple)
  * @todo add progress bar
@@ -14,6 +26,47 @@ const PUBLISHED = "Published Version";
 const ACCEPTED = "Accepted Version";
 const PREPRINT = "Preprint";
 const excludeRegEx = /supplement/i;
+// Built-in host registry: domains (a "*" stands for one label, subdomains always match), an optional
+// path pattern the URL must match, the display name used as hint, the version the host serves
+// (null when it serves several, then the version is looked up by OA), and path rules overriding
+// name or version, where "force" overrides the version in the title, too.
+const BUILTIN_HOSTS = [
+    { hosts: ["arxiv.org", "xxx.lanl.gov"], name: "arXiv", version: PREPRINT },
+    { hosts: ["sci-hub.*"], name: "Sci-Hub", version: PUBLISHED },
+    { hosts: ["iop.org"], name: "IOP", version: PUBLISHED },
+    { hosts: ["aps.org"], name: "APS", version: PUBLISHED, rules: [{ path: "^/accepted", version: ACCEPTED, force: true }] },
+    { hosts: ["springer.com"], name: "Springer", version: PUBLISHED },
+    { hosts: ["sciencedirect.com", "sciencedirectassets.com"], name: "ScienceDirect", version: PUBLISHED },
+    { hosts: ["els-cdn.com", "elsevier.com"], name: "Elsevier", version: PUBLISHED },
+    { hosts: ["nature.com"], name: "Nature", version: PUBLISHED },
+    { hosts: ["scipost.org"], name: "SciPost", version: PUBLISHED },
+    { hosts: ["sissa.it"], name: "SISSA", version: PUBLISHED },
+    { hosts: ["aip.org"], name: "AIP", version: PUBLISHED },
+    { hosts: ["projecteuclid.org"], name: "ProjectEuclid", version: PUBLISHED },
+    { hosts: ["adsabs.harvard.edu"], name: "ADS", version: PUBLISHED, rules: [{ path: "eprint|arxiv", name: "arXiv", version: PREPRINT }] },
+    { hosts: ["wiley.com"], name: "Wiley", version: PUBLISHED },
+    { hosts: ["ieee.org"], name: "IEEE", version: PUBLISHED },
+    { hosts: ["acm.org"], name: "ACM", version: PUBLISHED },
+    { hosts: ["tandfonline.com"], name: "Taylor & Francis", version: PUBLISHED },
+    { hosts: ["oup.com"], name: "OUP", version: PUBLISHED },
+    { hosts: ["plos.org"], name: "PLOS", version: PUBLISHED },
+    { hosts: ["biorxiv.org"], name: "bioRxiv", version: PREPRINT },
+    { hosts: ["medrxiv.org"], name: "medRxiv", version: PREPRINT },
+    { hosts: ["ssrn.com"], name: "SSRN", version: PREPRINT },
+    { hosts: ["pmc.ncbi.nlm.nih.gov"], name: "PMC", version: null },
+    { hosts: ["ncbi.nlm.nih.gov"], path: "^/pmc/", name: "PMC", version: null },
+    { hosts: ["europepmc.org"], name: "Europe PMC", version: null },
+    { hosts: ["zenodo.org"], name: "Zenodo", version: null },
+];
+// version names accepted in the JSON pref
+const VERSION_NAMES = { published: PUBLISHED, accepted: ACCEPTED, preprint: PREPRINT, submitted: PREPRINT };
+let invalidHosts = [];
+const hostRegistry = readHostRegistry();
+const FILE_PRESENT = "present";
+const FILE_SYNCABLE = "missing, not yet downloaded by file sync";
+const FILE_BROKEN_LINK = "broken linked file";
+const FILE_REMOTE_ONLY = "remote only (linked URL)";
+const FILE_MISSING = "missing";
 
 function popup(msg, timeout = null) {
     const pw = new Zotero.ProgressWindow();
@@ -39,6 +92,94 @@ function error(msg) {
     Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
 }
 
+function isValidPattern(pattern) {
+    if (typeof pattern !== "string") {
+        return false;
+    }
+    try {
+        new RegExp(pattern, "i");
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+// Why a user entry cannot be used, null when it is fine
+function checkHostEntry(entry) {
+    if (!entry || typeof entry !== "object") {
+        return "not an object";
+    } else if (!Array.isArray(entry.hosts) || entry.hosts.length == 0 || !entry.hosts.every(h => typeof h == "string" && h)) {
+        return "\"hosts\" must be a non-empty array of domains";
+    } else if (typeof entry.name !== "string" || !entry.name) {
+        return "\"name\" must be a non-empty string";
+    } else if (entry.path !== undefined && !isValidPattern(entry.path)) {
+        return "\"path\" must be a regular expression";
+    } else if (entry.rules !== undefined && (!Array.isArray(entry.rules) || !entry.rules.every(r => r && isValidPattern(r.path)))) {
+        return "\"rules\" must be an array of objects with a \"path\" regular expression";
+    }
+    return null;
+}
+// User entries from extensions.zotero.actionScripts.versionInfo.hosts come before the built-in ones, null when not valid JSON;
+// invalid entries are dropped and listed in invalidHosts
+function readHostRegistry() {
+    let userHosts;
+    try {
+        userHosts = JSON.parse(Zotero.Prefs.get("actionScripts.versionInfo.hosts") || "[]");
+    } catch (e) {
+        error(`Invalid extensions.zotero.actionScripts.versionInfo.hosts: ${e}`);
+        return null;
+    }
+    if (!Array.isArray(userHosts)) {
+        error("Invalid extensions.zotero.actionScripts.versionInfo.hosts: not a JSON array");
+        return null;
+    }
+    userHosts = userHosts.filter((e, i) => {
+        const problem = checkHostEntry(e);
+        if (problem) {
+            invalidHosts.push(`entry ${i + 1}: ${problem}`);
+            error(`Invalid entry ${i + 1} of extensions.zotero.actionScripts.versionInfo.hosts, ignored: ${problem}`);
+        }
+        return !problem;
+    });
+    const toVersion = v => v ? VERSION_NAMES[String(v).toLowerCase()] || v : null;
+    return userHosts.map(e => Object.assign({}, e, {
+        version: toVersion(e.version),
+        rules: (e.rules || []).map(r => Object.assign({}, r, r.version === undefined ? {} : { version: toVersion(r.version) })),
+    })).concat(BUILTIN_HOSTS);
+}
+function hostMatches(host, pattern) {
+    const escaped = pattern.toLowerCase().split("*").map(p => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^.]+");
+    return new RegExp(`(^|\\.)${escaped}$`).test(host);
+}
+// The registry entry of the host of a URL, and the first of its path rules matching the URL path
+function findHost(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return { entry: null, rule: null };
+    }
+    const host = parsed.hostname.toLowerCase();
+    const path = parsed.pathname + parsed.search;
+    const entry = hostRegistry.find(e => e.hosts.some(h => hostMatches(host, h)) && (!e.path || new RegExp(e.path, "i").test(path)));
+    if (!entry) {
+        return { entry: null, rule: null };
+    }
+    return { entry: entry, rule: (entry.rules || []).find(r => new RegExp(r.path, "i").test(path)) || null };
+}
+
+async function getFileStatus(att) {
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_URL) {
+        return FILE_REMOTE_ONLY;
+    }
+    if (await att.fileExists()) {
+        return FILE_PRESENT;
+    }
+    if (att.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_FILE) {
+        return FILE_BROKEN_LINK;
+    }
+    return Zotero.Sync.Storage.Local.getEnabledForLibrary(att.libraryID) ? FILE_SYNCABLE : FILE_MISSING;
+}
+
 // Function to process setting of each attachment
 async function processSetting(attachment) {
     if (!attachment.isPDFAttachment()) {
@@ -46,8 +187,11 @@ async function processSetting(attachment) {
         return { set: 0, errors: 0 };
     }
 
-    if (attachment.attachmentLinkMode === Zotero.Attachments.LINK_MODE_LINKED_URL) {
-        // no extra considerations
+    // no file is needed for the version, but a broken one is worth a mention; files left to file sync are fine
+    const status = await getFileStatus(attachment);
+    const missing = status !== FILE_PRESENT && status !== FILE_SYNCABLE ? 1 : 0;
+    if (missing) {
+        warn(`Attachment ${attachment.id} (${attachment.getField("title")}) has no local file: ${status}`);
     }
 
     if (!attachment.parentItemID) {
@@ -63,7 +207,7 @@ async function processSetting(attachment) {
     const parentTitle = parentItem.getField('title');
 
     let title = attachment.getField("title");
-    if (title.match(excludeRegEx) {
+    if (title.match(excludeRegEx)) {
         // Skip supplemental material
         return { set: 0, errors: 0 };
     }
@@ -78,49 +222,39 @@ async function processSetting(attachment) {
     }
 
     let hint = null;
+    let entry = null;
+    let rule = null;
     const url = attachment.getField("url");
     if (url) {
-        if (/:\/\/([^\/]+\.)?(arxiv\.org|xxx\.lanl\.gov)/i.test(url)) {
-            hint = "arXiv";
-        } else if (/:\/\/([^\/]+\.)?sci-hub/i.test(url)) {
-            hint = "Sci-Hub";
-        } else if (/:\/\/([^\/]+\.)?(iop\.org|aps\.org|springer\.com|sciencedirect(assets)?\.com|nature\.com|scipost\.org|sissa\.it|aip\.org|projecteuclid\.org|adsabs\.harvard\.edu)/i.test(url)) {
-            hint = /:\/\/([^\/]+\.)?([^\.\/]+)\.([^\.\/]+)\//i.exec(url)[2].toLowerCase();
-            hint = new Map([["iop", "IOP"], ["aps", "APS"], ["springer", "Springer"], ["sciencedirect", "ScienceDirect"], ["sciencedirectassets", "ScienceDirect"], ["nature", "Nature"], ["scipost", "SciPost"], ["sissa", "SISSA"], ["aip", "AIP"], ["projecteuclid", "ProjectEuclid"], ["harvard", "ADS"]]).get(hint);
-            if (hint == "ADS" && /eprint|arxiv/i.test(url)) hint = "arXiv";
-        }
+        ({ entry, rule } = findHost(url));
+        if (entry) hint = rule?.name || entry.name;
     }
     if (!hint && new RegExp(`(${PUBLISHED}|${ACCEPTED}|${PREPRINT}) \\((.+)\\)`).test(title)) {
         hint = new RegExp(`(${PUBLISHED}|${ACCEPTED}|${PREPRINT}) \\(([^\\)]+)\\)`).exec(title)[2];
+        // a hint kept in the title from an earlier run, e.g. "Published Version (IOP)"
+        entry = hostRegistry.find(e => e.name.toLowerCase() == hint.replace(/ v\d+$/, "").toLowerCase()) || { name: hint, version: PUBLISHED };
+    }
+    if (/^arXiv/.test(hint)) {
+        // keep the arXiv version number, as in the "Preprint (arXiv vN)" titles of downloaded preprints
+        const arXivVersion = /arxiv\.org\/(?:abs|pdf)\/[^?#]*?v(\d+)(?:\.pdf)?(?:[?#]|$)/i.exec(url) || /\(arXiv v(\d+)\)/.exec(title);
+        hint = arXivVersion ? `arXiv v${arXivVersion[1]}` : "arXiv";
     }
 
     const doi = parentItem.getField('DOI') || parentItem.getExtraField('DOI');
-    if (hint == "arXiv") {
-        if (version == PUBLISHED) {
-            warn(`needs double check: ${PUBLISHED} (arXiv)\n${parentTitle}`);
-        } else if (!version) {
-            version = PREPRINT;
+    const hostVersion = rule?.version !== undefined ? rule.version : entry?.version;
+    if (rule?.force && hostVersion) {
+        // the URL tells the version for sure, e.g. APS /accepted
+        if (version && version !== hostVersion) {
+            warn(`deduce: ${version} => ${hostVersion} (${hint})\n${parentTitle}`);
         }
-    } else if (hint == "Sci-Hub") {
-        if (version && version !== PUBLISHED) {
-            warn(`needs double check: ${version} (Sci-Hub)\n${parentTitle}`);
+        version = hostVersion;
+    } else if (hostVersion) {
+        if (version && version !== hostVersion) {
+            warn(`needs double check: ${version} (${hint})\n${parentTitle}`);
         } else if (!version) {
-            version = PUBLISHED;
+            version = hostVersion;
         }
-    } else if (hint) {
-        if (/:\/\/([^\.]+\.)?aps\.org\/accepted/i.test(url)) {
-            if (version && version !== ACCEPTED) {
-                warn(`deduce: ${version} => ${ACCEPTED} (APS)\n${parentTitle}`);
-            }
-            version = ACCEPTED;
-        } else {
-            if (version && version !== PUBLISHED) {
-                warn(`needs double check: ${version} (${hint})\n${parentTitle}`);
-            } else if (!version) {
-                version = PUBLISHED;
-            }
-        }
-    } else { // hint === null
+    } else { // no hint, or a host that hosts several versions
         if (version) {
             // OA decided submitted/accepted/published
         } else if (!url) { // no version, try to match with OA, need url and doi first
@@ -137,7 +271,7 @@ async function processSetting(attachment) {
                 warn(`no OA info\n${parentTitle}`);
                 version = "Unknown";
             } else {
-                const res = resolvers.filter(r => (r.url == url));
+                let res = resolvers.filter(r => (r.url == url));
                 if (res.length == 0) {
                     // probably inspirehep origin univ-url
                     warn(`no exact-matched OA info\n${parentTitle}`);
@@ -169,7 +303,7 @@ async function processSetting(attachment) {
 
     attachment.setField("title", title);
     await attachment.saveTx();
-    return { set: 1, errors: 0 };
+    return { set: 1, errors: 0, missing: missing };
 }
 function prepareAttachmentItemsList() {
     if (!items && !item) {
@@ -204,16 +338,25 @@ function prepareAttachmentItemsList() {
     if (!attachments) {
         return;
     }
+    if (!hostRegistry) {
+        alert("extensions.zotero.actionScripts.versionInfo.hosts is not a valid JSON array, no titles set.");
+        return;
+    }
+    if (invalidHosts.length > 0) {
+        alert(`Ignoring invalid entries of extensions.zotero.actionScripts.versionInfo.hosts:\n${invalidHosts.join("\n")}`);
+    }
     let totalSet = 0;
     let totalErrors = 0;
+    let totalMissing = 0;
     for (const attachment of attachments) {
         const result = await processSetting(attachment);
         totalSet += result.set;
         totalErrors += result.errors;
+        totalMissing += result.missing || 0;
     }
 
     // Display a summary alert only if there are significant outcomes to report
-    if (totalSet > 0 || totalErrors > 0) {
-        alert(`Successfully set ${totalSet} attachment titles. Errors: ${totalErrors}`);
+    if (totalSet > 0 || totalErrors > 0 || totalMissing > 0) {
+        alert(`Successfully set ${totalSet} attachment titles, ${totalMissing} of them without local file (see "Report Broken PDF Attachments"). Errors: ${totalErrors}`);
     }
 })();
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * @file Undo Last Deduplication
+ * @author cerenkov
+ * @version 0.1
+ * @usage Trigger in the context menu, the selection does not matter
+ * @description Restores from the trash the attachments removed by the last not yet undone
+ * run of "DeDuplicate PDF Attachments", puts back their original titles and dateAdded (so
+ * the original attachment order returns), deletes the annotation copies that run made
+ * on the kept attachments and removes the "#dedupe: annotated duplicate" tag it added.
+ * Attachments that fail to be restored stay in the run, which is only marked as undone once
+ * everything is restored, so triggering the action again retries them. Runs are read from
+ * dedupe-journal.json in the Zotero data directory, so only runs made on this computer can
+ * be undone.
+ * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
+ * suggested Menu Label: Undo Last Deduplication
+ */
+
+const Zotero = require("Zotero");
+const SCRIPTNAME = "Undo Last Deduplication";
+const DATA_DIRNAME = "action-scripts";
+const JOURNAL_FILENAME = "dedupe-journal.json";
+const FLAG_TAG = "#dedupe: annotated duplicate";
+
+function popup(msg, timeout = null) {
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    pw.addDescription(msg);
+    pw.show();
+    if (timeout) pw.startCloseTimer(timeout * 1000);
+}
+function log(msg) {
+    if (typeof msg == "object") {
+        Zotero.log(JSON.stringify(msg), "info");
+    } else {
+        Zotero.log(msg, "info");
+    }
+}
+function alert(msg) {
+    Zotero.alert(null, SCRIPTNAME, `[${SCRIPTNAME}] ${msg}`);
+}
+function warn(msg) {
+    Zotero.warn(`[${SCRIPTNAME}] ${msg}`);
+}
+function error(msg) {
+    Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
+}
+
+async function readJournal() {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, JOURNAL_FILENAME);
+    if (!(await IOUtils.exists(path))) {
+        return [];
+    }
+    return JSON.parse(await Zotero.File.getContentsAsync(path));
+}
+async function writeJournal(runs) {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, JOURNAL_FILENAME);
+    await Zotero.File.putContentsAsync(path, JSON.stringify(runs, null, 2));
+}
+
+// Function to restore the trashed attachments of one parent item and untag its flagged ones,
+// what failed and may succeed on a later try is left in the entry
+async function processRestoring(entry) {
+    let restored = 0;
+    let untagged = 0;
+    let errors = 0;
+    let failedTrashed = [];
+    let failedFlagged = [];
+    for (const trashed of entry.trashed) {
+        const att = Zotero.Items.getByLibraryAndKey(entry.libraryID, trashed.key);
+        if (!att) {
+            // the trash has been emptied since, nothing left to retry
+            error(`Attachment ${trashed.key} (${trashed.title}) of item ${entry.parentKey} no longer exists.`);
+            errors += 1;
+            continue;
+        }
+        try {
+            for (const key of trashed.migratedAnnotationKeys) {
+                const annotation = Zotero.Items.getByLibraryAndKey(entry.libraryID, key);
+                if (annotation) await annotation.eraseTx();
+            }
+            att.deleted = false;
+            att.setField("title", trashed.title);
+            att.setField("dateAdded", trashed.dateAdded);
+            await att.saveTx({ skipDateModifiedUpdate: true });
+            restored += 1;
+        } catch (e) {
+            error(`Failed to restore attachment ${trashed.key} (${trashed.title}) of item ${entry.parentKey}: ${e}`);
+            errors += 1;
+            failedTrashed.push(trashed);
+        }
+    }
+    // runs journaled before flagged attachments were recorded have none
+    for (const flagged of entry.flagged || []) {
+        const att = Zotero.Items.getByLibraryAndKey(entry.libraryID, flagged.key);
+        if (!att || !att.hasTag(FLAG_TAG)) {
+            // deleted or already decided on since
+            continue;
+        }
+        try {
+            att.removeTag(FLAG_TAG);
+            await att.saveTx();
+            untagged += 1;
+        } catch (e) {
+            error(`Failed to remove the tag of attachment ${flagged.key} (${flagged.title}) of item ${entry.parentKey}: ${e}`);
+            errors += 1;
+            failedFlagged.push(flagged);
+        }
+    }
+    entry.trashed = failedTrashed;
+    entry.flagged = failedFlagged;
+    return { restored: restored, untagged: untagged, errors: errors };
+}
+
+// Main execution block
+(async () => {
+    if (item) {
+        // reject script calls with items=[], item=...
+        return;
+    }
+    let runs = await readJournal();
+    const run = runs.filter(r => !r.undone).pop();
+    if (!run) {
+        alert("No deduplication run to undo.");
+        return;
+    }
+    const total = run.items.reduce((n, e) => n + e.trashed.length, 0);
+    const totalFlagged = run.items.reduce((n, e) => n + (e.flagged || []).length, 0);
+    if (!Services.prompt.confirm(null, SCRIPTNAME, `Restore ${total} attachments of ${run.items.length} items trashed by the deduplication run of ${new Date(run.timestamp).toLocaleString()}, and untag ${totalFlagged} annotated duplicates?`)) {
+        return;
+    }
+
+    let totalRestored = 0;
+    let totalUntagged = 0;
+    let totalErrors = 0;
+    for (const entry of run.items) {
+        const result = await processRestoring(entry);
+        totalRestored += result.restored;
+        totalUntagged += result.untagged;
+        totalErrors += result.errors;
+    }
+    // only the attachments that failed stay in the run, so that it can be undone again
+    run.items = run.items.filter(e => e.trashed.length > 0 || e.flagged.length > 0);
+    const left = run.items.reduce((n, e) => n + e.trashed.length + e.flagged.length, 0);
+    if (left == 0) {
+        run.undone = new Date().toISOString();
+    }
+    await writeJournal(runs);
+
+    alert(`Successfully restored ${totalRestored} attachments and untagged ${totalUntagged}. Errors: ${totalErrors}${left ? `\n\n${left} attachments are left in the run, trigger this action again to retry them.` : ""}`);
+})();
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * @file Undo Last Rename
+ * @author cerenkov
+ * @version 0.1
+ * @usage Trigger in the context menu, the selection does not matter
+ * @description Renames the files of a run of "Rename PDF Filenames with Preset Format" back
+ * to their old names, and moves linked files back to their old folders. The last not yet
+ * undone run is offered first, an earlier one can be chosen instead. Files that were renamed,
+ * moved or modified since (other path, size or modification time) and files whose old name
+ * is taken by now are left alone and counted as skipped; files that fail to be reverted stay
+ * in the run, which is only marked as undone once none is left. Runs are read from
+ * rename-journal.json in the Zotero data directory, so only runs made on this computer can be
+ * undone.
+ * @see https://github.com/crnkv/Zotero-Action-Scripts-Collection
+ * suggested Menu Label: Undo Last Rename
+ */
+
+const Zotero = require("Zotero");
+const SCRIPTNAME = "Undo Last Rename";
+const DATA_DIRNAME = "action-scripts";
+const JOURNAL_FILENAME = "rename-journal.json";
+
+function popup(msg, timeout = null) {
+    const pw = new Zotero.ProgressWindow();
+    pw.changeHeadline(SCRIPTNAME);
+    pw.addDescription(msg);
+    pw.show();
+    if (timeout) pw.startCloseTimer(timeout * 1000);
+}
+function log(msg) {
+    if (typeof msg == "object") {
+        Zotero.log(JSON.stringify(msg), "info");
+    } else {
+        Zotero.log(msg, "info");
+    }
+}
+function alert(msg) {
+    Zotero.alert(null, SCRIPTNAME, `[${SCRIPTNAME}] ${msg}`);
+}
+function warn(msg) {
+    Zotero.warn(`[${SCRIPTNAME}] ${msg}`);
+}
+function error(msg) {
+    Zotero.logError(`[${SCRIPTNAME}] ${msg}`);
+}
+
+async function readJournal() {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, JOURNAL_FILENAME);
+    if (!(await IOUtils.exists(path))) {
+        return [];
+    }
+    return JSON.parse(await Zotero.File.getContentsAsync(path));
+}
+async function writeJournal(runs) {
+    const path = PathUtils.join(Zotero.DataDirectory.dir, DATA_DIRNAME, JOURNAL_FILENAME);
+    await Zotero.File.putContentsAsync(path, JSON.stringify(runs, null, 2));
+}
+
+// The run to undo: the last not yet undone one, or one chosen from the list
+function chooseRun(runs) {
+    const open = runs.filter(r => !r.undone).reverse();
+    if (open.length <= 1) {
+        return open[0] || null;
+    }
+    const labels = open.map(r => `${new Date(r.timestamp).toLocaleString()}: ${r.entries.length} files, ${r.format || "(default format)"}${r.folderTemplate ? `, ${r.folderTemplate}` : ""}`);
+    let selected = {};
+    if (!Services.prompt.select(null, SCRIPTNAME, "Which rename run should be undone?", labels, selected)) {
+        return null;
+    }
+    return open[selected.value];
+}
+
+// Function to rename the file of each journal entry back
+async function processReverting(entry) {
+    const att = Zotero.Items.getByLibraryAndKey(entry.libraryID, entry.key);
+    if (!att) {
+        warn(`Attachment ${entry.key} no longer exists, not reverting ${entry.newPath}`);
+        return { reverted: 0, skipped: 1, errors: 0 };
+    }
+    const currentPath = await att.getFilePathAsync();
+    const info = currentPath && await IOUtils.exists(currentPath) ? await IOUtils.stat(currentPath) : null;
+    if (currentPath !== entry.newPath || !info || info.size !== entry.size || info.lastModified !== entry.lastModified) {
+        warn(`File of attachment ${entry.key} changed since the rename, not reverting ${entry.newPath}`);
+        return { reverted: 0, skipped: 1, errors: 0 };
+    }
+    // a case-only rename finds its own file under the old name on case-insensitive file systems
+    if (entry.oldPath.toLowerCase() !== entry.newPath.toLowerCase() && await IOUtils.exists(entry.oldPath)) {
+        warn(`${entry.oldPath} is taken, not reverting attachment ${entry.key}`);
+        return { reverted: 0, skipped: 1, errors: 0 };
+    }
+
+    try {
+        if (PathUtils.parent(entry.oldPath) == PathUtils.parent(entry.newPath)) {
+            const result = await att.renameAttachmentFile(PathUtils.filename(entry.oldPath));
+            if (result !== true) {
+                error(`Error renaming ${entry.newPath} back to ${entry.oldPath}: ${result == -1 ? "file exists" : "rename failed"}`);
+                return { reverted: 0, skipped: 0, errors: 1 };
+            }
+        } else {
+            // a linked file moved into a template folder
+            await IOUtils.makeDirectory(PathUtils.parent(entry.oldPath), { createAncestors: true, ignoreExisting: true });
+            await IOUtils.move(entry.newPath, entry.oldPath, { noOverwrite: true });
+            try {
+                await att.relinkAttachmentFile(entry.oldPath);
+            } catch (e) {
+                error(`Error relinking attachment ${entry.key} to ${entry.oldPath}, moving the file back: ${e}`);
+                await IOUtils.move(entry.oldPath, entry.newPath, { noOverwrite: true });
+                return { reverted: 0, skipped: 0, errors: 1 };
+            }
+        }
+        return { reverted: 1, skipped: 0, errors: 0 };
+    } catch (e) {
+        error(`Error reverting ${entry.newPath} to ${entry.oldPath}: ${e}`);
+        return { reverted: 0, skipped: 0, errors: 1 };
+    }
+}
+
+// Main execution block
+(async () => {
+    if (item) {
+        // reject script calls with items=[], item=...
+        return;
+    }
+    let runs = await readJournal();
+    const run = chooseRun(runs);
+    if (!run) {
+        if (!runs.some(r => !r.undone)) alert("No rename run to undo.");
+        return;
+    }
+    if (!Services.prompt.confirm(null, SCRIPTNAME, `Rename ${run.entries.length} files of the rename run of ${new Date(run.timestamp).toLocaleString()} back to their old names?`)) {
+        return;
+    }
+
+    let totalReverted = 0;
+    let totalSkipped = 0;
+    let totalErrors = 0;
+    let failed = [];
+    // newest first, so that chained renames unwind in order
+    for (const entry of [...run.entries].reverse()) {
+        const result = await processReverting(entry);
+        totalReverted += result.reverted;
+        totalSkipped += result.skipped;
+        totalErrors += result.errors;
+        if (result.errors > 0) failed.unshift(entry);
+    }
+    // only the files that failed stay in the run, so that it can be undone again
+    run.entries = failed;
+    if (failed.length == 0) {
+        run.undone = new Date().toISOString();
+    }
+    await writeJournal(runs);
+
+    alert(`Successfully reverted ${totalReverted} files. Skipped as changed since: ${totalSkipped}. Errors: ${totalErrors}${failed.length ? `\n\n${failed.length} files are left in the run, trigger this action again to retry them.` : ""}`);
+})();